@@ -1,7 +1,27 @@
+import cluster from 'cluster';
+import { loadConfig, ConfigError } from './server/config.js';
+import { setLogLevel } from './server/logger.js';
 import createServer from './server/createServer.js';
+import startPrimary from './server/cluster/startPrimary.js';
 
-// Get port from environment or use default
-const PORT = process.env.PORT || 8000;
+// Settings come from config.json (or CONFIG_FILE) and the environment:
+// PORT, WORKERS, GAME_STORE, LOG_LEVEL and more, see server/config.js
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
+setLogLevel(config.server.logLevel);
 
-// Start the server
-createServer(PORT);
\ No newline at end of file
+const { port, workers, store } = config.server;
+
+// Start the server (each cluster worker runs its own); more than one
+// worker runs a cluster
+if (workers > 1 && cluster.isPrimary) {
+  startPrimary(workers);
+} else {
+  createServer(port, { storeBackend: store });
+}
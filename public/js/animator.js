@@ -5,6 +5,9 @@
 
 import * as THREE from 'https://esm.sh/three@0.152.2';
 import { ANIMATION_CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('animator');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFETTI ANIMATIONS
@@ -81,11 +84,11 @@ export function stopFullscreenConfetti() {
  */
 export function animateCardFlip(cardObj, toFaceUp, onTextureUpdate) {
   if (!cardObj.flipAction || !cardObj.mixer) {
-    console.warn('⚠️  No animation available for card', cardObj.id);
+    log.warn('⚠️  No animation available for card', cardObj.id);
     return Promise.resolve();
   }
 
-  console.log(`🎬 Playing flip animation for card ${cardObj.id}: ${toFaceUp ? 'FACE UP' : 'FACE DOWN'}`);
+  log.debug(`🎬 Playing flip animation for card ${cardObj.id}: ${toFaceUp ? 'FACE UP' : 'FACE DOWN'}`);
 
   return new Promise((resolve) => {
     // Reset the animation to start
@@ -108,14 +111,14 @@ export function animateCardFlip(cardObj, toFaceUp, onTextureUpdate) {
     // Play the animation
     cardObj.flipAction.play();
     
-    console.log(`   ▶️  Animation started: timeScale=${cardObj.flipAction.timeScale.toFixed(2)}, duration=${desiredDuration.toFixed(2)}s (FBX: ${clipDuration.toFixed(2)}s)`);
+    log.debug(`   ▶️  Animation started: timeScale=${cardObj.flipAction.timeScale.toFixed(2)}, duration=${desiredDuration.toFixed(2)}s (FBX: ${clipDuration.toFixed(2)}s)`);
     
     // Schedule texture swap at configured point during animation
     const swapDelay = ANIMATION_CONFIG.FLIP_DURATION * ANIMATION_CONFIG.FLIP_TEXTURE_SWAP_POINT;
     setTimeout(() => {
       if (onTextureUpdate) {
         onTextureUpdate(cardObj, toFaceUp);
-        console.log(`   🖼️  Texture swapped at ${(ANIMATION_CONFIG.FLIP_TEXTURE_SWAP_POINT * 100).toFixed(0)}% of animation`);
+        log.debug(`   🖼️  Texture swapped at ${(ANIMATION_CONFIG.FLIP_TEXTURE_SWAP_POINT * 100).toFixed(0)}% of animation`);
       }
     }, swapDelay);
     
@@ -123,7 +126,7 @@ export function animateCardFlip(cardObj, toFaceUp, onTextureUpdate) {
     const onFinished = (event) => {
       if (event.action === cardObj.flipAction) {
         cardObj.mixer.removeEventListener('finished', onFinished);
-        console.log(`   ✅ Animation finished for card ${cardObj.id}`);
+        log.debug(`   ✅ Animation finished for card ${cardObj.id}`);
         resolve();
       }
     };
@@ -132,7 +135,7 @@ export function animateCardFlip(cardObj, toFaceUp, onTextureUpdate) {
     // Safety timeout - use ACTUAL desired duration
     setTimeout(() => {
       cardObj.mixer.removeEventListener('finished', onFinished);
-      console.log(`   ⏱️  Animation timeout (${desiredDuration.toFixed(2)}s) for card ${cardObj.id}`);
+      log.debug(`   ⏱️  Animation timeout (${desiredDuration.toFixed(2)}s) for card ${cardObj.id}`);
       resolve();
     }, ANIMATION_CONFIG.FLIP_DURATION + 100); // Use config value + small buffer
   });
@@ -15,6 +15,11 @@ import {
 } from "./config.js";
 import { animateCardFlip } from "./animator.js";
 import { createLiquidGlassMaterial } from "./liquidGlassShader.js";
+import { createLogger } from "./logger.js";
+
+// Model setup, camera fits and scene updates are debug: they run on
+// every new board and state update
+const log = createLogger("cards");
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MODULE STATE
@@ -53,14 +58,14 @@ export async function initCardManager(sceneRef, cameraRef, envMapRef) {
   // Load FBX model
   try {
     fbxTemplate = await loader.loadAsync(ASSET_PATHS.CARD_MODEL);
-    console.log("FBX loaded:", fbxTemplate);
-    console.log("FBX animations:", fbxTemplate.animations?.length || 0);
-    console.log(
+    log.debug("FBX loaded:", fbxTemplate);
+    log.debug("FBX animations:", fbxTemplate.animations?.length || 0);
+    log.debug(
       "FBX children:",
       fbxTemplate.children.map((c) => `${c.name} (${c.type})`),
     );
   } catch (err) {
-    console.warn("Failed to load card.fbx:", err);
+    log.warn("Failed to load card.fbx:", err);
   }
 
   // Load back texture
@@ -128,6 +133,19 @@ function ensureFrontTexture(value) {
     indexStr = String(value).padStart(2, "0");
   }
 
+  // Bigger boards use more values than there are textures, so draw a
+  // plain labelled face instead of asking the server for a missing file
+  const index = Number(indexStr);
+  if (
+    !Number.isInteger(index) ||
+    index < 1 ||
+    index > ASSET_PATHS.CARD_FRONT_TEXTURE_COUNT
+  ) {
+    const tex = createLabelTexture(value);
+    frontTextures.set(value, tex);
+    return Promise.resolve(tex);
+  }
+
   return new Promise((resolve) => {
     const path = `${ASSET_PATHS.CARD_FRONT_TEXTURE_PREFIX}${indexStr}${ASSET_PATHS.CARD_FRONT_TEXTURE_SUFFIX}`;
     texLoader.load(
@@ -138,13 +156,31 @@ function ensureFrontTexture(value) {
       },
       undefined,
       (err) => {
-        console.warn("Failed to load texture", path, err);
-        resolve(backTexture);
+        // Draw a plain labelled face instead of showing the back
+        log.warn("Failed to load texture", path, err);
+        const tex = createLabelTexture(value);
+        frontTextures.set(value, tex);
+        resolve(tex);
       },
     );
   });
 }
 
+function createLabelTexture(value) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 256;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#f4f1ea";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#333";
+  ctx.font = "bold 140px Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(String(value), canvas.width / 2, canvas.height / 2);
+  return new THREE.CanvasTexture(canvas);
+}
+
 function setFrontTextureForMesh(cardObj, arg) {
   // `arg` may be either a boolean `toFaceUp` (from animator) or
   // a texture value/index. If boolean and true, use the card's value;
@@ -201,7 +237,24 @@ function setFrontTextureForMesh(cardObj, arg) {
 // CARD CREATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-function createCardInstance(cardId, value, index, total) {
+/**
+ * Works out the grid dimensions for a board
+ * Uses the server's rows/cols when present, otherwise a near-square grid
+ * @param {object} gameState - Sanitized game state
+ * @returns {object} { rows, cols }
+ */
+function getGridLayout(gameState) {
+  const total = gameState.cards.length;
+  if (gameState.rows && gameState.cols) {
+    return { rows: gameState.rows, cols: gameState.cols };
+  }
+  const cols = Math.ceil(Math.sqrt(total));
+  return { rows: Math.ceil(total / cols), cols };
+}
+
+function createCardInstance(cardId, value, index, layout) {
+  const total = layout.rows * layout.cols;
+
   if (!fbxTemplate) return null;
 
   // Clone with skeleton
@@ -251,20 +304,20 @@ function createCardInstance(cardId, value, index, total) {
   bbox.getSize(bboxSize);
 
   if (index === 0) {
-    console.log(
+    log.debug(
       `📦 Card model size: ${bboxSize.x.toFixed(2)} x ${bboxSize.y.toFixed(2)} x ${bboxSize.z.toFixed(2)}`,
     );
-    console.log(
+    log.debug(
       `   Found ${allMeshes.length} meshes:`,
       allMeshes.map((m) => m.name || "unnamed"),
     );
-    console.log(
+    log.debug(
       `   Front mesh: ${frontMesh?.name || "none"}, Back mesh: ${backMesh?.name || "none"}`,
     );
-    console.log(
+    log.debug(
       `   Liquid glass shader: ${LIQUID_GLASS_CONFIG.ENABLED ? "ENABLED" : "DISABLED"}`,
     );
-    console.log(
+    log.debug(
       `   Shadows: ${RENDER_CONFIG.SHADOWS_ENABLED ? "ENABLED" : "DISABLED"}`,
     );
   }
@@ -276,7 +329,7 @@ function createCardInstance(cardId, value, index, total) {
   if (maxDim > 0.001) {
     autoScale = CARD_CONFIG.TARGET_SIZE / maxDim;
     if (index === 0) {
-      console.log(
+      log.debug(
         `🔍 Auto-scale factor: ${autoScale.toFixed(3)} (target size: ${CARD_CONFIG.TARGET_SIZE})`,
       );
     }
@@ -295,7 +348,7 @@ function createCardInstance(cardId, value, index, total) {
           mesh.material.depthTest = true;
           mesh.renderOrder = 0;
           if (index === 0) {
-            console.log(
+            log.debug(
               `  💧 Applied LIQUID GLASS SHADER to: ${mesh.name} (skinned: ${isSkinnedMesh})`,
             );
           }
@@ -307,7 +360,7 @@ function createCardInstance(cardId, value, index, total) {
             roughness: 0.8,
           });
           if (index === 0) {
-            console.log(`  ✓ Applied back texture to: ${mesh.name}`);
+            log.debug(`  ✓ Applied back texture to: ${mesh.name}`);
           }
         }
       } else if (mesh === frontMesh) {
@@ -322,7 +375,7 @@ function createCardInstance(cardId, value, index, total) {
         // Render front after back so opaque front doesn't show through glass
         mesh.renderOrder = 1;
         if (index === 0) {
-          console.log(`  ✓ Applied front texture to: ${mesh.name}`);
+          log.debug(`  ✓ Applied front texture to: ${mesh.name}`);
         }
       } else {
         mesh.material = new THREE.MeshStandardMaterial({
@@ -339,34 +392,34 @@ function createCardInstance(cardId, value, index, total) {
   clone.scale.set(autoScale, autoScale, autoScale);
 
   if (index === 0) {
-    console.log(
+    log.debug(
       "💀 Using skeletal animation for flip (no base rotation applied)",
     );
   }
 
-  // Position in grid
-  const cols = Math.ceil(Math.sqrt(total));
+  // Position in grid (columns along X, rows along Z)
+  const { rows, cols } = layout;
   const spacing = CAMERA_CONFIG.CARD_SPACING;
   const row = Math.floor(index / cols);
   const col = index % cols;
   const offsetX = -(cols - 1) * spacing * 0.5;
-  const offsetZ = -(Math.ceil(total / cols) - 1) * spacing * 0.5;
+  const offsetZ = -(rows - 1) * spacing * 0.5;
   clone.position.set(offsetX + col * spacing, 0, offsetZ + row * spacing);
 
   if (index === 0) {
-    console.log(
+    log.debug(
       `📍 Created card 1/${total}: ${cardId} at (${clone.position.x.toFixed(1)}, ${clone.position.z.toFixed(1)})`,
     );
   } else if (index === 1) {
-    console.log(
+    log.debug(
       `📍 Created card 2/${total}: ${cardId} at (${clone.position.x.toFixed(1)}, ${clone.position.z.toFixed(1)})`,
     );
   } else if (index === 2) {
-    console.log(
+    log.debug(
       `📍 Created card 3/${total}: ${cardId} at (${clone.position.x.toFixed(1)}, ${clone.position.z.toFixed(1)})`,
     );
   } else if (index === 15) {
-    console.log(
+    log.debug(
       `📍 Created card 16/${total}: ${cardId} at (${clone.position.x.toFixed(1)}, ${clone.position.z.toFixed(1)})`,
     );
   }
@@ -384,20 +437,20 @@ function createCardInstance(cardId, value, index, total) {
     flipAction.timeScale = 1;
 
     if (index === 0) {
-      console.log(`🎬 Animation setup:`);
-      console.log(`   - Clip name: "${clip.name}"`);
-      console.log(`   - Duration: ${clip.duration.toFixed(2)}s`);
-      console.log(`   - Tracks: ${clip.tracks.length}`);
+      log.debug(`🎬 Animation setup:`);
+      log.debug(`   - Clip name: "${clip.name}"`);
+      log.debug(`   - Duration: ${clip.duration.toFixed(2)}s`);
+      log.debug(`   - Tracks: ${clip.tracks.length}`);
     }
   }
 
   scene.add(clone);
 
   if (index === 0) {
-    console.log(
+    log.debug(
       `✅ Card added to scene at position (${clone.position.x.toFixed(1)}, ${clone.position.y.toFixed(1)}, ${clone.position.z.toFixed(1)})`,
     );
-    console.log(`   Scale: ${clone.scale.x.toFixed(2)}`);
+    log.debug(`   Scale: ${clone.scale.x.toFixed(2)}`);
   }
 
   return {
@@ -427,14 +480,20 @@ function fitCameraToCards() {
   const center = new THREE.Vector3();
   box.getCenter(center);
 
-  console.log(
+  log.debug(
     `📷 fitCameraToCards: box size=${size.x.toFixed(2)}, ${size.y.toFixed(2)}, ${size.z.toFixed(2)}, center=${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)}`,
   );
 
-  const maxDim = Math.max(size.x, size.z, 1);
+  // Fit both grid dimensions: the board's depth (Z) against the vertical
+  // field of view and its width (X) against the horizontal one, so
+  // non-square grids like 5x6 stay fully in frame.
   const fov = camera.fov * (Math.PI / 180);
   const halfFov = fov / 2;
-  let distance = (maxDim / 2 / Math.tan(halfFov)) * CAMERA_CONFIG.PADDING;
+  const halfHorizontalFov = Math.atan(Math.tan(halfFov) * camera.aspect);
+  const depthDistance = Math.max(size.z, 1) / 2 / Math.tan(halfFov);
+  const widthDistance = Math.max(size.x, 1) / 2 / Math.tan(halfHorizontalFov);
+  let distance =
+    Math.max(depthDistance, widthDistance) * CAMERA_CONFIG.PADDING;
   distance = Math.max(distance, 5);
 
   const tiltRad = (Math.PI / 180) * CAMERA_CONFIG.TILT_ANGLE;
@@ -449,7 +508,7 @@ function fitCameraToCards() {
   camera.lookAt(center);
   camera.updateProjectionMatrix();
 
-  console.log(
+  log.debug(
     `   Camera position: ${camera.position.x.toFixed(2)}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)}, looking at ${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)}`,
   );
 }
@@ -458,25 +517,35 @@ function fitCameraToCards() {
 // GAME STATE UPDATE
 // ═══════════════════════════════════════════════════════════════════════════
 
-export async function updateFromGameState(gameState) {
+export async function updateFromGameState(gameState, changedCardIds = null) {
   if (!gameState || !gameState.cards) return;
 
+  // A patched state names the cards that changed: the board itself is
+  // the same, so only those cards need looking at
+  const changed = changedCardIds && new Set(changedCardIds);
+  const touchedCards = changed
+    ? gameState.cards.filter((c) => changed.has(c.id))
+    : gameState.cards;
+
   // Lock input while processing
   inputLocked = true;
   if (inputLockTimer) clearTimeout(inputLockTimer);
 
   const total = gameState.cards.length;
+  const layout = getGridLayout(gameState);
 
   // Preload textures
-  const loadPromises = gameState.cards.map((c) => ensureFrontTexture(c.value));
+  const loadPromises = touchedCards.map((c) => ensureFrontTexture(c.value));
   await Promise.all(loadPromises);
 
   // Remove old cards
   const newGameCardIds = new Set(gameState.cards.map((c) => c.id));
-  const cardsToRemove = cards.filter((c) => !newGameCardIds.has(c.id));
+  const cardsToRemove = changed
+    ? []
+    : cards.filter((c) => !newGameCardIds.has(c.id));
 
   if (cardsToRemove.length > 0) {
-    console.log(
+    log.debug(
       `🗑️  Removing ${cardsToRemove.length} old cards from previous game`,
     );
     cardsToRemove.forEach((c) => {
@@ -493,10 +562,10 @@ export async function updateFromGameState(gameState) {
 
   // Create new cards
   let newCardsCreated = false;
-  gameState.cards.forEach((c, idx) => {
+  (changed ? [] : gameState.cards).forEach((c, idx) => {
     let existing = cards.find((x) => x.id === c.id);
     if (!existing) {
-      const inst = createCardInstance(c.id, c.value, idx, total);
+      const inst = createCardInstance(c.id, c.value, idx, layout);
       if (inst) {
         cards.push(inst);
         newCardsCreated = true;
@@ -504,10 +573,10 @@ export async function updateFromGameState(gameState) {
     }
   });
 
-  console.log(`🃏 Total cards in scene: ${cards.length}/${total}`);
+  log.debug(`🃏 Total cards in scene: ${cards.length}/${total}`);
 
   // Update card states and animate
-  for (const g of gameState.cards) {
+  for (const g of touchedCards) {
     const local = cards.find((c) => c.id === g.id);
     if (!local) continue;
 
@@ -528,6 +597,17 @@ export async function updateFromGameState(gameState) {
       });
     }
 
+    // A replay stepping backwards can un-match cards
+    if (!g.isMatched && local.isMatched) {
+      local.isMatched = false;
+      local.mesh.position.y = 0;
+      local.mesh.traverse((node) => {
+        if (node.isMesh && node.material?.origColor) {
+          node.material.color.copy(node.material.origColor);
+        }
+      });
+    }
+
     // Handle flips
     if (g.isFaceUp !== local.isFaceUp) {
       local.value = g.value;
@@ -548,7 +628,7 @@ export async function updateFromGameState(gameState) {
     try {
       fitCameraToCards();
     } catch (err) {
-      console.warn("fitCameraToCards failed:", err);
+      log.warn("fitCameraToCards failed:", err);
     }
   }
 }
@@ -1,13 +1,74 @@
+import { INPUT_CONFIG, NETWORK_CONFIG, PROTOCOL_CONFIG } from "./config.js";
+import { applyStatePatch } from "./statePatches.js";
+import { createLogger, setLogContext } from "./logger.js";
+
+const log = createLogger("client");
+
+// sessionStorage key for the resumable session of the current tab
+const SESSION_STORAGE_KEY = "couples-therapy-session";
+
 class GameClient {
   constructor() {
     this.ws = null;
     this.gameId = null;
     this.isConnected = false;
 
+    // Online rooms: join code and the seat this device plays.
+    // playerIndex stays null in local games, where we play every seat.
+    this.roomCode = null;
+    this.playerIndex = null;
+
+    // Watching someone else's game (read-only)
+    this.spectating = false;
+
+    // Token for RESUME after a dropped connection
+    this.sessionToken = null;
+
+    // Protocol features both we and the server support (from WELCOME)
+    this.features = [];
+
+    // The server said it is restarting: reconnecting is expected to
+    // take a few tries
+    this.serverRestarting = false;
+
+    // Last full or patched game state, and the sequence number of the
+    // broadcast it came from; STATE_PATCH messages build on top of it
+    this.state = null;
+    this.stateSeq = null;
+    this.resyncRequested = false;
+
+    // Actions the server hasn't answered yet: requestId -> time sent
+    this.pendingRequests = new Map();
+
+    // Reconnection state
+    this.url = null;
+    this.shouldReconnect = true;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.onlineListenerAdded = false;
+
+    // Messages sent while offline, flushed once reconnected
+    this.outboundQueue = [];
+
     // Callbacks that other modules can set
-    this.onGameStateUpdate = null; // Called when server sends GAME_STATE
+    this.onGameStateUpdate = null; // Called with (state, changedCardIds) on GAME_STATE or STATE_PATCH
     this.onError = null; // Called when server sends ERROR
-    this.onConnectionChange = null; // Called when connection status changes
+    this.onHighscores = null; // Called when server sends HIGHSCORES
+    this.onRoomJoined = null; // Called when server sends ROOM_JOINED
+    this.onConnectionChange = null; // Called with (status, attempt) on changes
+    this.onReplay = null; // Called when server sends REPLAY
+    this.onSpectating = null; // Called with true/false when watching starts/stops
+    this.onRejected = null; // Called with (code, message) when the server turns down an action
+  }
+
+  /**
+   * Report a connection status change
+   * @param {string} status - "connecting" | "connected" | "reconnecting" | "restarting" | "offline"
+   */
+  setStatus(status) {
+    if (this.onConnectionChange) {
+      this.onConnectionChange(status, this.reconnectAttempt);
+    }
   }
 
   /**
@@ -18,61 +79,232 @@ class GameClient {
   connect(url) {
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
     const host = window.location.host; // couples-therapy-oyua.onrender.com
-    const wsUrl = url ?? `${protocol}//${host}`;
+    this.url = url ?? this.url ?? `${protocol}//${host}`;
+    this.shouldReconnect = true;
+
+    if (!this.onlineListenerAdded) {
+      // Retry straight away when the device comes back online
+      window.addEventListener("online", () => {
+        if (!this.isConnected && this.shouldReconnect) {
+          this.reconnectAttempt = 0;
+          clearTimeout(this.reconnectTimer);
+          this.openSocket();
+        }
+      });
+      this.onlineListenerAdded = true;
+    }
+
+    this.openSocket();
+  }
 
-    console.log("Connecting to server:", wsUrl);
-    this.ws = new WebSocket(wsUrl);
+  /**
+   * Open the WebSocket and wire up its handlers
+   */
+  openSocket() {
+    // Drop any previous socket so its close can't trigger another retry
+    if (this.ws) {
+      this.ws.onopen = null;
+      this.ws.onmessage = null;
+      this.ws.onclose = null;
+      this.ws.onerror = null;
+      this.ws.close();
+    }
+
+    log.info("Connecting to server:", this.url);
+    if (this.reconnectAttempt === 0) {
+      this.setStatus("connecting");
+    } else {
+      this.setStatus(this.serverRestarting ? "restarting" : "reconnecting");
+    }
+    this.ws = new WebSocket(this.url);
 
     // ===== CONNECTION OPENED =====
+    // Nothing else is sent until the server has answered our HELLO,
+    // so send() keeps queueing until WELCOME arrives
     this.ws.onopen = () => {
-      console.log("Connected to server");
-      this.isConnected = true;
-
-      if (this.onConnectionChange) {
-        this.onConnectionChange(true);
-      }
+      log.debug("Connected to server, sending HELLO");
+      this.ws.send(
+        JSON.stringify({
+          type: "HELLO",
+          protocolVersion: PROTOCOL_CONFIG.VERSION,
+          features: PROTOCOL_CONFIG.FEATURES,
+        }),
+      );
     };
 
     // ===== MESSAGE RECEIVED =====
     this.ws.onmessage = (event) => {
       try {
         const message = JSON.parse(event.data);
-        console.log("Received:", message.type);
+        log.debug("Received:", message.type);
 
         // Handle different message types
         switch (message.type) {
+          case "WELCOME":
+            this.handleWelcome(message);
+            break;
+
           case "GAME_STATE":
             this.handleGameState(message);
             break;
 
+          case "STATE_PATCH":
+            this.handleStatePatch(message);
+            break;
+
+          case "ACK":
+            this.pendingRequests.delete(message.requestId);
+            break;
+
+          case "REJECTED":
+            this.handleRejected(message);
+            break;
+
+          case "SERVER_RESTARTING":
+            log.info("Server is restarting");
+            this.serverRestarting = true;
+            this.setStatus("restarting");
+            break;
+
           case "ERROR":
             this.handleError(message);
             break;
 
+          case "ROOM_JOINED":
+            this.handleRoomJoined(message);
+            break;
+
+          case "SPECTATING":
+            this.handleSpectating(message);
+            break;
+
+          case "HIGHSCORES":
+            if (this.onHighscores) {
+              this.onHighscores(message);
+            }
+            break;
+
+          case "REPLAY":
+            if (this.onReplay) {
+              this.onReplay(message.replay);
+            }
+            break;
+
           default:
-            console.warn("Unknown message type:", message.type);
+            log.warn("Unknown message type:", message.type);
         }
       } catch (error) {
-        console.error("❌ Error parsing message:", error);
+        log.error("❌ Error parsing message:", error);
       }
     };
 
     // ===== CONNECTION CLOSED =====
     this.ws.onclose = () => {
-      console.log("Disconnected from server");
+      log.info("Disconnected from server");
       this.isConnected = false;
 
-      if (this.onConnectionChange) {
-        this.onConnectionChange(false);
+      if (this.shouldReconnect) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus("offline");
       }
     };
 
     // ===== CONNECTION ERROR =====
     this.ws.onerror = (error) => {
-      console.error("❌ WebSocket error:", error);
+      log.error("❌ WebSocket error:", error);
     };
   }
 
+  /**
+   * Try again later, with exponential backoff and jitter so that
+   * many clients don't all hit a restarted server at the same moment
+   */
+  scheduleReconnect() {
+    if (this.reconnectAttempt >= NETWORK_CONFIG.RECONNECT_MAX_ATTEMPTS) {
+      log.warn("Giving up reconnecting");
+      this.setStatus("offline");
+      return;
+    }
+
+    this.reconnectAttempt++;
+
+    const backoff = Math.min(
+      NETWORK_CONFIG.RECONNECT_MAX_DELAY,
+      NETWORK_CONFIG.RECONNECT_BASE_DELAY * 2 ** (this.reconnectAttempt - 1),
+    );
+    // "Equal jitter": between half and the full backoff
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+
+    log.info(
+      `Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempt})`,
+    );
+    this.setStatus(this.serverRestarting ? "restarting" : "reconnecting");
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+  }
+
+  /**
+   * Send a message, or queue it until the connection is back
+   * The queue is bounded: the oldest message is dropped when it is full.
+   * @param {object} message - Message to send
+   * @returns {boolean} true if sent right away
+   */
+  send(message) {
+    if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+      return true;
+    }
+
+    log.warn("Not connected, queueing", message.type);
+    this.outboundQueue.push(message);
+    if (this.outboundQueue.length > NETWORK_CONFIG.OUTBOUND_QUEUE_LIMIT) {
+      const dropped = this.outboundQueue.shift();
+      log.warn("Outbound queue full, dropped", dropped.type);
+    }
+    return false;
+  }
+
+  /**
+   * Send all queued messages in order
+   */
+  flushQueue() {
+    const queued = this.outboundQueue;
+    this.outboundQueue = [];
+    queued.forEach((message) => this.send(message));
+  }
+
+  /**
+   * Handle WELCOME message from server (handshake accepted)
+   * @param {object} message - { protocolVersion, features }
+   */
+  handleWelcome(message) {
+    log.info(
+      `Server speaks protocol ${message.protocolVersion}, features:`,
+      message.features.join(", "),
+    );
+    this.features = message.features;
+    this.serverRestarting = false;
+    this.resyncRequested = false;
+    // Replies to anything sent on the old socket are lost with it
+    this.pendingRequests.clear();
+    this.isConnected = true;
+    this.reconnectAttempt = 0;
+
+    this.setStatus("connected");
+
+    // Pick up where we left off if this tab was in a game,
+    // then send whatever piled up while we were away
+    this.resumeSession();
+    this.flushQueue();
+  }
+
+  // Whether the server agreed to use a protocol feature
+  supports(feature) {
+    return this.features.includes(feature);
+  }
+
   /**
    * Handle GAME_STATE message from server
    * @param {object} message - Game state message
@@ -81,82 +313,409 @@ class GameClient {
     // Store gameId when we first receive it
     if (message.gameId && !this.gameId) {
       this.gameId = message.gameId;
-      console.log("Game ID:", this.gameId);
+      log.debug("Game ID:", this.gameId);
+    }
+
+    this.state = message;
+    this.stateSeq = message.seq ?? null;
+    this.resyncRequested = false;
+
+    // Forward to UI/scene via callback (null: redraw every card)
+    if (this.onGameStateUpdate) {
+      this.onGameStateUpdate(message, null);
+    }
+  }
+
+  /**
+   * Handle STATE_PATCH message from server
+   * Patches are applied strictly in order; a missing one means our
+   * state is stale, so we ask for a full snapshot instead.
+   * @param {object} message - { gameId, seq, patches }
+   */
+  handleStatePatch(message) {
+    // A snapshot is already on its way, it includes this patch
+    if (this.resyncRequested) return;
+
+    if (!this.state || this.state.gameId !== message.gameId) {
+      this.requestResync(message.gameId);
+      return;
     }
 
-    // Forward to UI/scene via callback
+    // Already part of our state (e.g. sent before our snapshot)
+    if (message.seq <= this.stateSeq) return;
+
+    if (message.seq !== this.stateSeq + 1) {
+      log.warn(
+        `Missed state patch ${this.stateSeq + 1} (got ${message.seq}), resyncing`,
+      );
+      this.requestResync(message.gameId);
+      return;
+    }
+
+    const { state, changedCardIds } = applyStatePatch(
+      this.state,
+      message.patches,
+    );
+    this.state = state;
+    this.stateSeq = message.seq;
+
     if (this.onGameStateUpdate) {
-      this.onGameStateUpdate(message);
+      this.onGameStateUpdate(state, changedCardIds);
     }
   }
 
+  /**
+   * Ask the server for a full snapshot of a game
+   * @param {string} gameId - Game we are out of sync with
+   */
+  requestResync(gameId) {
+    this.resyncRequested = true;
+    this.send({ type: "RESYNC", gameId });
+  }
+
+  /**
+   * Handle ROOM_JOINED message from server
+   * @param {object} message - { gameId, roomCode, playerIndex }
+   */
+  handleRoomJoined(message) {
+    this.gameId = message.gameId;
+    this.roomCode = message.roomCode;
+    this.playerIndex = message.playerIndex;
+    this.setSpectating(false);
+    this.saveSession(message.sessionToken);
+
+    if (this.roomCode) {
+      log.info(
+        `Joined room ${this.roomCode} as player ${this.playerIndex + 1}`,
+      );
+    }
+
+    if (this.onRoomJoined) {
+      this.onRoomJoined(message);
+    }
+  }
+
+  /**
+   * Handle SPECTATING message from server
+   * @param {object} message - { gameId, roomCode }
+   */
+  handleSpectating(message) {
+    this.gameId = message.gameId;
+    this.roomCode = message.roomCode;
+    this.playerIndex = null;
+    this.setSpectating(true);
+    // No seat, so no token: a reconnect simply watches the game again
+    this.saveSession(null);
+
+    log.info(`Watching game ${this.gameId}`);
+  }
+
+  setSpectating(spectating) {
+    if (this.spectating === spectating) return;
+
+    this.spectating = spectating;
+    if (this.onSpectating) {
+      this.onSpectating(spectating);
+    }
+  }
+
+  /**
+   * Handle REJECTED message from server (an action was not played)
+   * @param {object} message - { requestId, code, message, duplicate? }
+   */
+  handleRejected(message) {
+    this.pendingRequests.delete(message.requestId);
+
+    // The first reply was already reported
+    if (message.duplicate) return;
+
+    log.warn(`Action ${message.requestId} rejected:`, message.code);
+    if (this.onRejected) {
+      this.onRejected(message.code, message.message);
+    }
+  }
+
+  /**
+   * Whether an action is still waiting for its ACK or rejection
+   * Answers that never come (e.g. lost with a dropped socket) stop
+   * counting after INPUT_CONFIG.LOCK_TIMEOUT.
+   * @returns {boolean}
+   */
+  hasPendingAction() {
+    const now = Date.now();
+    for (const [requestId, sentAt] of this.pendingRequests) {
+      if (now - sentAt > INPUT_CONFIG.LOCK_TIMEOUT) {
+        this.pendingRequests.delete(requestId);
+      }
+    }
+    return this.pendingRequests.size > 0;
+  }
+
   /**
    * Handle ERROR message from server
    * @param {object} message - Error message
    */
   handleError(message) {
-    console.error("⚠️ Server error:", message.message);
+    log.error("⚠️ Server error:", message.message);
+
+    // This page is older (or newer) than the server: retrying won't help,
+    // only a reload that fetches the matching client does
+    if (message.code === "INCOMPATIBLE_CLIENT") {
+      this.shouldReconnect = false;
+    }
+
+    // The game we tried to resume (or were playing) is gone: start fresh
+    if (message.code === "RESUME_FAILED" || message.code === "GAME_EXPIRED") {
+      this.pendingRequests.clear();
+      this.clearSession();
+      this.gameId = null;
+      this.roomCode = null;
+      this.playerIndex = null;
+      this.setSpectating(false);
+    }
 
     // Forward to error handler via callback
     if (this.onError) {
-      this.onError(message.message);
+      this.onError(message.message, message.code);
     }
   }
 
   /**
-   * Send NEW_GAME message to server
-   * @param {number} playerCount - Number of players (1-4)
+   * Remember the session so a new socket can RESUME the game
+   * @param {string} token - Session token from ROOM_JOINED
+   */
+  saveSession(token) {
+    this.sessionToken = token;
+    try {
+      sessionStorage.setItem(
+        SESSION_STORAGE_KEY,
+        JSON.stringify({
+          gameId: this.gameId,
+          sessionToken: token,
+          spectating: this.spectating,
+        }),
+      );
+    } catch (error) {
+      // Storage can be unavailable (private mode); resume then only
+      // works while the page stays open
+      log.warn("Could not store session:", error);
+    }
+  }
+
+  /**
+   * Forget the stored session (e.g. when the game no longer exists)
+   */
+  clearSession() {
+    this.sessionToken = null;
+    try {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+      // ignore
+    }
+  }
+
+  /**
+   * Send RESUME message for the stored session, if there is one
+   * (or SPECTATE again when this tab was watching a game)
    */
-  startNewGame(playerCount = 1) {
-    if (!this.isConnected) {
-      console.error("❌ Not connected to server");
+  resumeSession() {
+    let stored = null;
+    try {
+      stored = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (error) {
+      // Treated as no stored session
+    }
+
+    if (!this.sessionToken) {
+      this.sessionToken = stored?.sessionToken ?? null;
+    }
+
+    if (!this.isConnected) return;
+
+    const watchedGameId = this.spectating
+      ? this.gameId
+      : stored?.spectating && stored.gameId;
+    if (watchedGameId) {
+      log.info("Watching previous game again");
+      this.send({ type: "SPECTATE", gameId: watchedGameId });
       return;
     }
 
-    console.log("Starting new game with", playerCount, "player(s)");
+    if (!this.sessionToken) return;
+
+    log.info("Resuming previous game");
+
+    const message = {
+      type: "RESUME",
+      sessionToken: this.sessionToken,
+    };
+
+    this.send(message);
+  }
+
+  /**
+   * Send NEW_GAME message to server
+   * @param {number} playerCount - Number of players (1-4)
+   * @param {object} board - { difficulty } or { rows, cols } (server default if empty)
+   */
+  startNewGame(playerCount = 1, board = {}) {
+    log.info("Starting new game with", playerCount, "player(s)");
+
+    // A local game is played entirely from this device
+    this.roomCode = null;
+    this.playerIndex = null;
+    this.setSpectating(false);
 
     const message = {
       type: "NEW_GAME",
       playerCount: playerCount,
+      ...board,
+    };
+
+    this.send(message);
+  }
+
+  /**
+   * Send CREATE_ROOM message to server (online game)
+   * @param {number} playerCount - Number of seats (1-4)
+   * @param {object} board - { difficulty } or { rows, cols }
+   */
+  createRoom(playerCount = 2, board = {}) {
+    const message = {
+      type: "CREATE_ROOM",
+      playerCount: playerCount,
+      ...board,
+    };
+
+    this.send(message);
+  }
+
+  /**
+   * Send SPECTATE message to server (watch without playing)
+   * @param {string} roomCode - Join code of the game to watch
+   */
+  spectate(roomCode) {
+    const message = {
+      type: "SPECTATE",
+      roomCode: roomCode,
+    };
+
+    this.send(message);
+  }
+
+  /**
+   * Stop watching: the server stops sending us the game
+   */
+  stopSpectating() {
+    if (!this.spectating) return;
+
+    this.send({ type: "STOP_SPECTATING" });
+    this.gameId = null;
+    this.roomCode = null;
+    this.clearSession();
+    this.setSpectating(false);
+  }
+
+  /**
+   * Send JOIN_ROOM message to server
+   * @param {string} roomCode - Join code shown to the host
+   * @param {number} [playerIndex] - Seat to claim (first free if omitted)
+   */
+  joinRoom(roomCode, playerIndex) {
+    const message = {
+      type: "JOIN_ROOM",
+      roomCode: roomCode,
+      playerIndex: playerIndex,
     };
 
-    this.ws.send(JSON.stringify(message));
+    this.send(message);
+  }
+
+  /**
+   * Whether it is this device's turn to flip
+   * @param {object} gameState - Latest GAME_STATE
+   * @returns {boolean}
+   */
+  isMyTurn(gameState) {
+    if (this.spectating) return false;
+
+    return (
+      this.playerIndex === null ||
+      gameState.activePlayerIndex === this.playerIndex
+    );
   }
 
   /**
    * Send FLIP_CARD message to server
+   * The request id names the action ("this card, on this version of the
+   * board"), so the extra events of a single click map to the same id
+   * and the server plays it only once.
    * @param {string} cardId - ID of the card to flip
+   * @returns {boolean} false if the same flip is already on its way
    */
   flipCard(cardId) {
-    if (!this.isConnected) {
-      console.error("❌ Not connected to server");
-      return;
-    }
-
     if (!this.gameId) {
-      console.error("❌ No active game");
-      return;
+      log.error("❌ No active game");
+      return false;
     }
 
-    console.log("Flipping card:", cardId);
+    const requestId = `flip-${this.state?.version ?? 0}-${cardId}`;
+    if (this.pendingRequests.has(requestId)) return false;
 
+    log.debug("Flipping card:", cardId);
+    this.pendingRequests.set(requestId, Date.now());
+
+    // The session token proves which player we are
     const message = {
       type: "FLIP_CARD",
       gameId: this.gameId,
       cardId: cardId,
+      sessionToken: this.sessionToken,
+      requestId,
     };
 
-    this.ws.send(JSON.stringify(message));
+    this.send(message);
+    return true;
+  }
+
+  /**
+   * Send GET_HIGHSCORES message to server
+   * @param {string|null} mode - Board size like "4x4", or null for all
+   */
+  getHighscores(mode = null) {
+    const message = {
+      type: "GET_HIGHSCORES",
+      mode: mode,
+    };
+
+    this.send(message);
+  }
+
+  /**
+   * Send GET_REPLAY message to server
+   * Only finished games can be replayed.
+   * @param {string} gameId - Game to replay
+   */
+  getReplay(gameId = this.gameId) {
+    const message = {
+      type: "GET_REPLAY",
+      gameId: gameId,
+    };
+
+    this.send(message);
   }
 
   /**
    * Disconnect from server
+   * The game and session are kept so connect() can resume them.
    */
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+
     if (this.ws) {
       this.ws.close();
       this.ws = null;
-      this.gameId = null;
       this.isConnected = false;
     }
   }
@@ -165,5 +724,11 @@ class GameClient {
 // Create singleton instance
 const gameClient = new GameClient();
 
+// Every log line of the page names the game and seat, like the server's
+setLogContext(() => ({
+  game: gameClient.gameId,
+  player: gameClient.playerIndex,
+}));
+
 // Export for use in other modules
 export default gameClient;
@@ -148,6 +148,8 @@ export const ASSET_PATHS = {
   CARD_BACK_TEXTURE: "/assets/textures/card_back.png",
   CARD_FRONT_TEXTURE_PREFIX: "/assets/textures/card_",
   CARD_FRONT_TEXTURE_SUFFIX: ".png",
+  // card_01..card_08; values past these get a drawn label instead
+  CARD_FRONT_TEXTURE_COUNT: 8,
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -166,7 +168,49 @@ export const ANIMATION_CONFIG = {
 // INPUT SETTINGS
 // ═══════════════════════════════════════════════════════════════════════════
 export const INPUT_CONFIG = {
-  LOCK_TIMEOUT: 2500, // milliseconds - auto-unlock if server doesn't respond
+  LOCK_TIMEOUT: 2500, // milliseconds - stop waiting for a flip's ACK after this long
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NETWORK SETTINGS
+// ═══════════════════════════════════════════════════════════════════════════
+export const NETWORK_CONFIG = {
+  RECONNECT_BASE_DELAY: 500, // milliseconds - first retry waits about this long
+  RECONNECT_MAX_DELAY: 15000, // milliseconds - backoff never grows past this
+  RECONNECT_MAX_ATTEMPTS: 10, // give up (status "offline") after this many
+  OUTBOUND_QUEUE_LIMIT: 20, // messages kept while offline (oldest dropped)
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROTOCOL
+// ═══════════════════════════════════════════════════════════════════════════
+export const PROTOCOL_CONFIG = {
+  VERSION: 2, // must be accepted by the server, or the page has to be reloaded
+  FEATURES: [
+    "rooms",
+    "resume",
+    "spectate",
+    "replay",
+    "bots",
+    "highscores",
+    "delta", // STATE_PATCH messages instead of a full GAME_STATE every time
+  ],
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOGGING
+// ═══════════════════════════════════════════════════════════════════════════
+export const LOG_CONFIG = {
+  DEFAULT_LEVEL: "info", // debug, info, warn, error or silent
+  URL_PARAM: "log", // ?log=debug shows every message, flip and camera fit
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY SETTINGS
+// ═══════════════════════════════════════════════════════════════════════════
+export const REPLAY_CONFIG = {
+  MIN_STEP_DELAY: 400, // milliseconds - fast players still get a readable replay
+  MAX_STEP_DELAY: 1500, // milliseconds - long pauses are shortened
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -9,10 +9,30 @@ import {
   updateActivePlayerBackground,
   updateConnectionStatus,
   showError,
+  showReloadNotice,
   showStartingPlaceholder,
   hideStartingPlaceholder,
   showWinPopup,
+  showLostPopup,
+  updateGameClock,
+  updateTurnTimer,
+  initLeaderboardFilter,
+  getLeaderboardFilter,
+  renderLeaderboard,
+  setSpectatorMode,
+  showReplayControls,
+  hideReplayControls,
+  updateReplayControls,
 } from "./ui.js";
+import {
+  startReplay,
+  stopReplay,
+  isReplaying,
+  isReplayPlaying,
+  playReplay,
+  pauseReplay,
+  seekReplay,
+} from "./replay.js";
 import {
   launchFullscreenConfetti,
   stopFullscreenConfetti,
@@ -23,9 +43,10 @@ import {
   updateFromGameState,
   getCards,
   isInputLocked,
-  lockInput,
 } from "./cardManager.js";
-import { INPUT_CONFIG } from "./config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("game");
 
 // ═══════════════════════════════════════════════════════════════════════════
 // GAME STATE
@@ -38,10 +59,7 @@ let currentGameState = null;
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function init() {
-  console.log("🎮 Initializing game...");
-
-  // Connect to server
-  gameClient.connect();
+  log.info("🎮 Initializing game...");
 
   // Initialize renderer (now async to wait for HDRI loading)
   const { scene, camera, renderer, envMap } = await initRenderer(handleCardClick);
@@ -53,8 +71,18 @@ async function init() {
   gameClient.onConnectionChange = handleConnectionChange;
   gameClient.onError = handleError;
   gameClient.onGameStateUpdate = handleGameStateUpdate;
+  gameClient.onHighscores = renderLeaderboard;
+  gameClient.onReplay = handleReplay;
+  gameClient.onSpectating = setSpectatorMode;
+  gameClient.onRejected = handleRejected;
+
+  initLeaderboardFilter((mode) => gameClient.getHighscores(mode));
+
+  // Connect once the scene can show what the server sends
+  // (a resumed game arrives right after the socket opens)
+  gameClient.connect();
 
-  console.log("✅ Game initialized");
+  log.info("✅ Game initialized");
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -62,46 +90,115 @@ async function init() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 function handleCardClick(cardId) {
+  // The board is showing a replay, not the live game
+  if (isReplaying()) return;
+
+  if (gameClient.spectating) {
+    showError("Du tittar bara på det här spelet");
+    return;
+  }
+
   if (!currentGameState || currentGameState.status !== "playing") {
     return;
   }
 
-  if (isInputLocked()) {
-    console.log("⏸️  Input locked, ignoring click");
+  if (currentGameState.players[currentGameState.activePlayerIndex]?.bot) {
+    showError("Datorn tänker...");
     return;
   }
 
-  console.log("🃏 Card clicked:", cardId);
+  if (!gameClient.isMyTurn(currentGameState)) {
+    showError("Vänta på din tur");
+    return;
+  }
 
-  // Lock input to prevent double-clicks
-  lockInput(INPUT_CONFIG.LOCK_TIMEOUT);
+  // Cards are still animating, or the last flip hasn't been answered
+  if (isInputLocked() || gameClient.hasPendingAction()) {
+    log.debug("⏸️  Input locked, ignoring click");
+    return;
+  }
+
+  log.debug("🃏 Card clicked:", cardId);
 
   // Send flip request to server
   gameClient.flipCard(cardId);
 }
 
-function handleConnectionChange(isConnected) {
-  updateConnectionStatus(isConnected);
+function handleConnectionChange(status, attempt) {
+  updateConnectionStatus(status, attempt);
+
+  // Load the leaderboard as soon as we can talk to the server
+  if (status === "connected") {
+    gameClient.getHighscores(getLeaderboardFilter());
+  }
 }
 
-function handleError(errorMessage) {
+function handleError(errorMessage, code) {
+  if (code === "INCOMPATIBLE_CLIENT") {
+    showReloadNotice();
+    return;
+  }
+
   showError(errorMessage);
+
+  // The server removed our game: stop accepting clicks on the old board
+  if (code === "GAME_EXPIRED") {
+    currentGameState = null;
+    const info = document.getElementById("gameInfo");
+    if (info) {
+      info.textContent = "Spelet har gått ut. Starta ett nytt spel.";
+    }
+  }
 }
 
-async function handleGameStateUpdate(gameState) {
-  console.log("📥 Game state update:", gameState);
+// Flips the server ignored (board locked, card already up...) are just
+// clicks at the wrong moment; anything else is worth telling the player
+const QUIET_REJECTIONS = [
+  "GAME_OVER",
+  "BOARD_LOCKED",
+  "UNKNOWN_CARD",
+  "CARD_MATCHED",
+  "CARD_FACE_UP",
+  "TURN_FULL",
+];
+
+function handleRejected(code, message) {
+  if (!QUIET_REJECTIONS.includes(code)) {
+    showError(message);
+  }
+}
+
+async function handleGameStateUpdate(gameState, changedCardIds = null) {
+  // A state older than the one on screen (e.g. one that was overtaken
+  // on the way) would animate the board backwards
+  if (
+    currentGameState?.gameId === gameState.gameId &&
+    gameState.version < currentGameState.version
+  ) {
+    log.warn(
+      `Dropping out-of-order state v${gameState.version} (showing v${currentGameState.version})`,
+    );
+    return;
+  }
+
+  log.debug("📥 Game state update:", gameState);
   currentGameState = gameState;
 
+  // Keep the latest state for when the replay ends, but don't draw it
+  if (isReplaying()) return;
+
   // Update UI
-  updateGameInfo(gameState);
+  updateGameInfo(gameState, gameClient.playerIndex);
   updateActivePlayerBackground(gameState);
+  updateGameClock(gameState);
+  updateTurnTimer(gameState);
 
   // Hide starting placeholder if present
   hideStartingPlaceholder();
 
   // Update 3D scene
   try {
-    await updateFromGameState(gameState);
+    await updateFromGameState(gameState, changedCardIds);
 
     // Update renderer's card array reference
     setCardsArray(getCards());
@@ -109,27 +206,124 @@ async function handleGameStateUpdate(gameState) {
     // Trigger resize to ensure proper framing
     triggerResize();
   } catch (err) {
-    console.error("❌ Failed to update scene:", err);
+    log.error("❌ Failed to update scene:", err);
     showError("Failed to update game display");
   }
 
   // Show win popup if game is won
   if (gameState.status === "won") {
-    showWinPopup(
+    const isNewWin = showWinPopup(
       gameState,
-      startGame, // onPlayAgain callback
+      playAgain, // onPlayAgain callback
       () => launchFullscreenConfetti(160), // onConfettiStart
       stopFullscreenConfetti, // onConfettiStop
+      (gameId) => gameClient.getReplay(gameId), // onReplay
+    );
+
+    // Our result has just been recorded, so refresh the leaderboard
+    // (once, not on every update of the finished game)
+    if (isNewWin) gameClient.getHighscores(getLeaderboardFilter());
+  }
+
+  // "Beat the clock" game that ran out of time
+  if (gameState.status === "lost") {
+    showLostPopup(gameState, playAgain, (gameId) =>
+      gameClient.getReplay(gameId),
     );
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleReplay(replay) {
+  log.info("🎞️  Starting replay of", replay.gameId);
+
+  showReplayControls({
+    onPlayPause: () => (isReplayPlaying() ? pauseReplay() : playReplay()),
+    onSeek: (index) => {
+      pauseReplay();
+      seekReplay(index);
+    },
+    onExit: exitReplay,
+  });
+
+  startReplay(replay, drawReplayFrame, updateReplayControls);
+  playReplay();
+}
+
+// Replay frames have the same shape as GAME_STATE, so the scene draws them as usual
+async function drawReplayFrame(frame) {
+  updateActivePlayerBackground(frame);
+  updateTurnTimer(frame);
+  hideStartingPlaceholder();
+
+  await updateFromGameState(frame);
+  setCardsArray(getCards());
+  triggerResize();
+}
+
+function exitReplay() {
+  stopReplay();
+  hideReplayControls();
+
+  // Back to the live game (which may have moved on meanwhile)
+  if (currentGameState) {
+    handleGameStateUpdate(currentGameState);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GAME CONTROLS
 // ═══════════════════════════════════════════════════════════════════════════
 
-function startGame(playerCount) {
-  console.log("🎮 Starting new game with", playerCount, "players");
+// Read the board size and time limit chosen in the sidebar
+function getGameOptions() {
+  const options = {};
+
+  const difficulty = document.getElementById("difficultySelect")?.value;
+  if (difficulty) {
+    options.difficulty = difficulty;
+  }
+
+  const timeLimitSec = parseInt(
+    document.getElementById("timeLimitSelect")?.value,
+    10,
+  );
+  if (timeLimitSec > 0) {
+    options.timeLimitSec = timeLimitSec;
+  }
+
+  const turnLimitSec = parseInt(
+    document.getElementById("turnLimitSelect")?.value,
+    10,
+  );
+  if (turnLimitSec > 0) {
+    options.turnLimitSec = turnLimitSec;
+  }
+
+  return options;
+}
+
+// With a computer opponent picked, every seat but the first is a bot
+function withBots(options, playerCount) {
+  const level = document.getElementById("opponentSelect")?.value;
+  if (!level || playerCount < 2) return options;
+
+  const bots = Array.from({ length: playerCount }, (_, index) =>
+    index === 0 ? null : level,
+  );
+  return { ...options, bots };
+}
+
+function startGame(
+  playerCount,
+  board = withBots(getGameOptions(), playerCount),
+) {
+  log.info("🎮 Starting new game with", playerCount, "players", board);
+
+  if (isReplaying()) exitReplay();
 
   // Reset game state
   currentGameState = null;
@@ -147,7 +341,76 @@ function startGame(playerCount) {
   gameClient.gameId = null;
 
   // Request new game from server
-  gameClient.startNewGame(playerCount);
+  gameClient.startNewGame(playerCount, board);
+}
+
+// Everyone gets the same board today; played solo on this device
+function startDailyChallenge() {
+  startGame(1, { daily: true });
+}
+
+function createRoom() {
+  const select = document.getElementById("onlinePlayerCount");
+  const playerCount = select ? parseInt(select.value, 10) : 2;
+
+  log.info("🌐 Creating room for", playerCount, "players");
+
+  if (isReplaying()) exitReplay();
+
+  currentGameState = null;
+  showStartingPlaceholder();
+  gameClient.gameId = null;
+  gameClient.createRoom(playerCount, withBots(getGameOptions(), playerCount));
+}
+
+function joinRoom() {
+  const input = document.getElementById("joinCodeInput");
+  const code = input?.value.trim();
+
+  if (!code) {
+    showError("Skriv in en rumskod");
+    return;
+  }
+
+  log.info("🌐 Joining room", code);
+
+  if (isReplaying()) exitReplay();
+  gameClient.joinRoom(code);
+}
+
+// Watch someone else's game with their room code
+function spectateRoom() {
+  const input = document.getElementById("joinCodeInput");
+  const code = input?.value.trim();
+
+  if (!code) {
+    showError("Skriv in en rumskod");
+    return;
+  }
+
+  log.info("👀 Watching room", code);
+
+  if (isReplaying()) exitReplay();
+  gameClient.spectate(code);
+}
+
+function stopSpectating() {
+  gameClient.stopSpectating();
+
+  currentGameState = null;
+  const info = document.getElementById("gameInfo");
+  if (info) {
+    info.textContent = "Välj ett spel i menyn.";
+  }
+}
+
+// "Play again" keeps the same kind of game: a new room for online play
+function playAgain(playerCount) {
+  if (gameClient.roomCode) {
+    createRoom();
+  } else {
+    startGame(playerCount);
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -156,6 +419,11 @@ function startGame(playerCount) {
 
 // Make startGame available globally for HTML buttons
 window.startGame = startGame;
+window.startDailyChallenge = startDailyChallenge;
+window.createRoom = createRoom;
+window.joinRoom = joinRoom;
+window.spectateRoom = spectateRoom;
+window.stopSpectating = stopSpectating;
 
 // Start the game on page load
 init();
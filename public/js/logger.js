@@ -0,0 +1,75 @@
+/**
+ * Logger Module
+ * Console logging with levels. Per-message, per-frame and animation
+ * details are debug and stay hidden unless the page is opened with
+ * ?log=debug; ?log=silent hides everything.
+ */
+
+import { LOG_CONFIG } from "./config.js";
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LEVEL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function readLevel() {
+  // No location outside the browser (e.g. statePatches.js under Node)
+  const requested = new URLSearchParams(globalThis.location?.search).get(
+    LOG_CONFIG.URL_PARAM,
+  );
+  return requested in LOG_LEVELS ? requested : LOG_CONFIG.DEFAULT_LEVEL;
+}
+
+const threshold = LOG_LEVELS[readLevel()];
+
+// Game the page is in, shown on every line so it can be matched
+// with the server's log (which has the same gameId)
+let getContext = () => ({});
+
+/**
+ * Sets where every line's tags come from
+ * @param {function} getFields - Returns e.g. { gameId, playerIndex };
+ *   asked on every line, null values are left out
+ */
+export function setLogContext(getFields) {
+  getContext = getFields;
+}
+
+function formatContext() {
+  return Object.entries(getContext())
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}=${value}`)
+    .join("");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOGGER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a logger for one module
+ * @param {string} scope - Shown in front of every line, e.g. "client"
+ * @returns {object} { debug, info, warn, error }, each taking console arguments
+ */
+export function createLogger(scope) {
+  const log =
+    (level) =>
+    (...args) => {
+      if (LOG_LEVELS[level] < threshold) return;
+      console[level](`[${scope}${formatContext()}]`, ...args);
+    };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+}
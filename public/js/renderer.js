@@ -17,6 +17,9 @@ import {
 
 import { updateAnimations } from "./animator.js";
 import { updateLiquidGlassShader } from "./liquidGlassShader.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("renderer");
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MODULE STATE
@@ -171,9 +174,9 @@ export async function initRenderer(onCardClick) {
         if (equirect.dispose) equirect.dispose();
       }
 
-      console.log("✅ HDRI loaded and PMREM generated successfully");
+      log.info("✅ HDRI loaded and PMREM generated successfully");
     } catch (err) {
-      console.warn("⚠️  Failed to load HDRI, using fallback:", err);
+      log.warn("⚠️  Failed to load HDRI, using fallback:", err);
       scene.background = new THREE.Color(RENDER_CONFIG.BACKGROUND_COLOR);
       // Create a simple equirectangular fallback and convert to PMREM
       const fallbackEquirect = createFallbackEnvMap();
@@ -294,7 +297,7 @@ export async function initRenderer(onCardClick) {
       onPointerClick({ clientX, clientY });
     } catch (err) {
       // swallow any errors to avoid breaking pointer flow
-      console.error("Error in canvasPointerHandler:", err);
+      log.error("Error in canvasPointerHandler:", err);
     }
   }
 
@@ -538,7 +541,5 @@ export function setHDRIBackgroundVisible(visible) {
     scene.background = new THREE.Color(RENDER_CONFIG.BACKGROUND_COLOR);
   }
 
-  console.log(`🌅 HDRI background ${visible ? "shown" : "hidden"}`);
-
-  console.log(`🌅 HDRI background ${visible ? "shown" : "hidden"}`);
+  log.debug(`🌅 HDRI background ${visible ? "shown" : "hidden"}`);
 }
@@ -0,0 +1,227 @@
+/**
+ * Replay Module
+ * Rebuilds the board after every logged event of a finished game
+ * and plays the frames back through a render callback
+ */
+
+import { REPLAY_CONFIG } from "./config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("replay");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+let frames = [];
+let frameIndex = 0;
+let playing = false;
+let playTimer = null;
+let renderFrame = null; // async (frame) => void, draws one frame
+let onChange = null; // (frame, index, total, playing) => void, updates controls
+
+// Scrubbing can outrun the flip animations: only the latest target is drawn
+let isRendering = false;
+let pendingIndex = null;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FRAMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Turns a REPLAY event log into one sanitized-style state per step
+ * Frame 0 is the untouched board, every event adds one frame.
+ * @param {object} replay - Replay data from the server
+ * @returns {object[]} States shaped like GAME_STATE, plus `event`
+ */
+export function buildReplayFrames(replay) {
+  const cards = replay.cards.map((card) => ({
+    id: card.id,
+    value: card.value,
+    isFaceUp: false,
+    isMatched: false,
+  }));
+  const byId = new Map(cards.map((card) => [card.id, card]));
+  const players = replay.players.map((player) => ({
+    color: player.color,
+    score: 0,
+  }));
+  let activePlayerIndex = 0;
+  let status = "playing";
+
+  const snapshot = (event) => ({
+    gameId: replay.gameId,
+    rows: replay.rows,
+    cols: replay.cols,
+    // Face-down cards carry no value, just like a live GAME_STATE
+    cards: cards.map((card) =>
+      card.isFaceUp ? { ...card } : { id: card.id, isFaceUp: false, isMatched: false },
+    ),
+    players: players.map((player) => ({ ...player })),
+    activePlayerIndex,
+    status,
+    event,
+    elapsedMs: event && replay.startedAt ? event.at - replay.startedAt : 0,
+  });
+
+  const result = [snapshot(null)];
+
+  for (const event of replay.events) {
+    switch (event.type) {
+      case "flip":
+        byId.get(event.cardId).isFaceUp = true;
+        break;
+
+      case "match":
+        event.cardIds.forEach((id) => (byId.get(id).isMatched = true));
+        players[event.playerIndex].score++;
+        break;
+
+      case "turn":
+        event.hiddenCardIds.forEach((id) => (byId.get(id).isFaceUp = false));
+        activePlayerIndex = event.nextPlayerIndex;
+        break;
+
+      case "win":
+        status = "won";
+        break;
+
+      case "lost":
+        event.hiddenCardIds.forEach((id) => (byId.get(id).isFaceUp = false));
+        status = "lost";
+        break;
+
+      // "mismatch" changes nothing on the board: the cards stay
+      // visible until the following "turn" event
+    }
+
+    result.push(snapshot(event));
+  }
+
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYBACK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Enters replay mode and shows the first frame
+ * @param {object} replay - Replay data from the server
+ * @param {function} render - Async function that draws a frame
+ * @param {function} changed - Called after every step or play/pause
+ */
+export function startReplay(replay, render, changed) {
+  stopReplay();
+
+  frames = buildReplayFrames(replay);
+  renderFrame = render;
+  onChange = changed;
+
+  seekReplay(0);
+}
+
+export function isReplaying() {
+  return frames.length > 0;
+}
+
+export function isReplayPlaying() {
+  return playing;
+}
+
+/**
+ * Jumps to a frame (used by the scrubber and by playback)
+ * @param {number} index - Frame to show
+ */
+export function seekReplay(index) {
+  if (!isReplaying()) return;
+
+  frameIndex = Math.max(0, Math.min(frames.length - 1, index));
+  notify();
+  drawLatest(frameIndex);
+}
+
+export function playReplay() {
+  if (!isReplaying()) return;
+
+  // Start over when play is pressed at the end
+  if (frameIndex >= frames.length - 1) {
+    seekReplay(0);
+  }
+
+  playing = true;
+  notify();
+  scheduleNextFrame();
+}
+
+export function pauseReplay() {
+  playing = false;
+  clearTimeout(playTimer);
+  playTimer = null;
+  notify();
+}
+
+// Leave replay mode; the caller redraws the live game
+export function stopReplay() {
+  clearTimeout(playTimer);
+  playTimer = null;
+  playing = false;
+  frames = [];
+  frameIndex = 0;
+  pendingIndex = null;
+}
+
+// Wait roughly as long as the players did, within sensible bounds
+function scheduleNextFrame() {
+  clearTimeout(playTimer);
+  if (!playing) return;
+
+  if (frameIndex >= frames.length - 1) {
+    pauseReplay();
+    return;
+  }
+
+  const current = frames[frameIndex].event;
+  const next = frames[frameIndex + 1].event;
+  const gap = current ? next.at - current.at : REPLAY_CONFIG.MIN_STEP_DELAY;
+  const delay = Math.max(
+    REPLAY_CONFIG.MIN_STEP_DELAY,
+    Math.min(REPLAY_CONFIG.MAX_STEP_DELAY, gap),
+  );
+
+  playTimer = setTimeout(async () => {
+    seekReplay(frameIndex + 1);
+    await waitForRender();
+    scheduleNextFrame();
+  }, delay);
+}
+
+async function drawLatest(index) {
+  pendingIndex = index;
+  if (isRendering) return;
+
+  isRendering = true;
+  try {
+    while (pendingIndex !== null && isReplaying()) {
+      const next = frames[pendingIndex];
+      pendingIndex = null;
+      await renderFrame(next);
+    }
+  } catch (err) {
+    log.error("❌ Failed to draw replay frame:", err);
+  } finally {
+    isRendering = false;
+  }
+}
+
+async function waitForRender() {
+  while (isRendering) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function notify() {
+  if (onChange && isReplaying()) {
+    onChange(frames[frameIndex], frameIndex, frames.length, playing);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * State Patches Module
+ * Applies the server's STATE_PATCH messages to the last known game state
+ */
+
+import { createLogger } from "./logger.js";
+
+const log = createLogger("patches");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// APPLY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the next game state from the current one and a list of patches
+ * The current state is left untouched.
+ * @param {object} state - Last GAME_STATE (or patched state)
+ * @param {object[]} patches - Patches from a STATE_PATCH message
+ * @returns {object} { state, changedCardIds } - new state, and the cards
+ *   the scene has to redraw
+ */
+export function applyStatePatch(state, patches) {
+  const next = {
+    ...state,
+    cards: state.cards.slice(),
+    players: state.players.slice(),
+  };
+  const indexById = new Map(next.cards.map((card, i) => [card.id, i]));
+  const changed = new Set();
+
+  const updateCard = (cardId, changes) => {
+    const index = indexById.get(cardId);
+    if (index === undefined) return;
+    next.cards[index] = { ...next.cards[index], ...changes };
+    changed.add(cardId);
+  };
+
+  for (const patch of patches) {
+    switch (patch.type) {
+      case "reveal":
+        updateCard(patch.cardId, { isFaceUp: true, value: patch.value });
+        break;
+
+      case "match":
+        patch.cardIds.forEach((id) =>
+          updateCard(id, { isFaceUp: true, isMatched: true }),
+        );
+        break;
+
+      case "hide":
+        // Face-down cards carry no value, just like in a full GAME_STATE
+        patch.cardIds.forEach((id) => {
+          const index = indexById.get(id);
+          if (index === undefined) return;
+          const hidden = { ...next.cards[index], isFaceUp: false };
+          delete hidden.value;
+          next.cards[index] = hidden;
+          changed.add(id);
+        });
+        break;
+
+      case "score":
+        next.players[patch.playerIndex] = {
+          ...next.players[patch.playerIndex],
+          score: patch.score,
+        };
+        break;
+
+      case "turn":
+        next.activePlayerIndex = patch.activePlayerIndex;
+        break;
+
+      case "fields":
+        Object.assign(next, patch.fields);
+        break;
+
+      default:
+        log.warn("Unknown patch type:", patch.type);
+    }
+  }
+
+  return { state: next, changedCardIds: [...changed] };
+}
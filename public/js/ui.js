@@ -17,39 +17,114 @@ const COLOR_LABEL = {
   green: "Grön",
 };
 
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, (c) => {
+    return {
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    }[c];
+  });
+}
+
+// Map logical player color names to the visual board colors (pastel)
+const BOARD_COLOR_MAP = {
+  red: "#ff6b81",
+  yellow: "#ffd54a",
+  blue: "#7fb3ff",
+  green: "#8bd48b",
+};
+
 function normalizeLabel(col) {
   if (!col) return col;
   const key = String(col).toLowerCase();
   return COLOR_LABEL[key] || col;
 }
 
+// Player name for the sidebar, with a marker for computer players
+function playerLabel(player) {
+  const label = normalizeLabel(player.color);
+  return player.bot ? `${label} 🤖` : label;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GAME INFO DISPLAY
 // ═══════════════════════════════════════════════════════════════════════════
 
-export function updateGameInfo(gameState) {
+/**
+ * Renders the sidebar game info
+ * @param {object} gameState - Latest GAME_STATE
+ * @param {number|null} myPlayerIndex - Our seat in an online room, null when local
+ */
+export function updateGameInfo(gameState, myPlayerIndex = null) {
   const info = document.getElementById("gameInfo");
   if (!info) return;
 
   const activePlayer = gameState.players[gameState.activePlayerIndex];
   const playerScores = gameState.players
-    .map((p) => `${normalizeLabel(p.color)}: ${p.score}`)
+    .map((p) => `${playerLabel(p)}: ${p.score}`)
     .join(" | ");
 
   const isDebug = false; // Set to true to show game ID
 
+  // Online rooms: show the join code, our color and open seats
+  let roomInfo = "";
+  if (gameState.roomCode) {
+    const me = gameState.players[myPlayerIndex];
+    const seats = gameState.seats || [];
+    const openSeats = seats.filter((seat) => !seat.taken).length;
+    const awaySeats = seats.filter((seat) => seat.taken && !seat.connected).length;
+    roomInfo = `
+      <strong>Rumskod:</strong> <span class="room-code">${escapeHTML(gameState.roomCode)}</span><br>
+      ${me ? `<strong>Du är:</strong> <span style="color: ${me.color}">${normalizeLabel(me.color)}</span><br>` : ""}
+      ${openSeats > 0 ? `<strong>Väntar på:</strong> ${openSeats} spelare<br>` : ""}
+      ${awaySeats > 0 ? `<strong>Frånkopplade:</strong> ${awaySeats} spelare<br>` : ""}
+    `;
+  }
+
+  const spectatorInfo = gameState.spectators
+    ? `<strong>Åskådare:</strong> ${gameState.spectators}<br>`
+    : "";
+
+  const dailyInfo = gameState.dailyDate
+    ? `<strong>Dagens utmaning:</strong> ${escapeHTML(gameState.dailyDate)}<br>`
+    : "";
+
   info.innerHTML = `
     ${isDebug ? `<strong>Game ID:</strong> ${gameState.gameId}<br>` : ""}
+    ${roomInfo}
+    ${dailyInfo}
     <strong>Spelare:</strong> ${gameState.players.length}<br>
     <strong>Status:</strong> ${gameState.status}<br>
     <strong>Aktiv spelare:</strong>
     <span style="color: ${activePlayer.color}">
-      ${normalizeLabel(activePlayer.color)}
-    </span><br>
-    <strong>Poäng:</strong> ${playerScores}
+      ${playerLabel(activePlayer)}
+    </span>${activePlayer.bot ? " <em>(tänker...)</em>" : ""}<br>
+    <strong>Poäng:</strong> ${playerScores}<br>
+    ${spectatorInfo}
+    ${gameState.seed ? `<div class="game-seed">Seed: ${escapeHTML(gameState.seed)}</div>` : ""}
   `;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SPECTATOR MODE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Swaps the game controls for a "watching" badge while spectating
+ * @param {boolean} spectating - Whether this device only watches
+ */
+export function setSpectatorMode(spectating) {
+  document
+    .querySelectorAll(".panel.controls, .panel.online")
+    .forEach((panel) => (panel.hidden = spectating));
+
+  const badge = document.getElementById("watchingBadge");
+  if (badge) badge.hidden = !spectating;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // BACKGROUND COLOR
 // ═══════════════════════════════════════════════════════════════════════════
@@ -65,14 +140,6 @@ export function updateActivePlayerBackground(gameState) {
 
   const activePlayer = gameState.players[gameState.activePlayerIndex];
 
-  // Map logical player color names to the visual board colors (pastel)
-  const BOARD_COLOR_MAP = {
-    red: "#ff6b81",
-    yellow: "#ffd54a",
-    blue: "#7fb3ff",
-    green: "#8bd48b",
-  };
-
   const boardColor = BOARD_COLOR_MAP[activePlayer.color] || activePlayer.color;
   board.style.backgroundColor = boardColor;
 
@@ -89,16 +156,36 @@ export function updateActivePlayerBackground(gameState) {
 // CONNECTION STATUS
 // ═══════════════════════════════════════════════════════════════════════════
 
-export function updateConnectionStatus(isConnected) {
+/**
+ * Shows the connection state in the sidebar
+ * @param {string} status - "connecting" | "connected" | "reconnecting" | "restarting" | "offline"
+ * @param {number} attempt - Current reconnect attempt (for "reconnecting")
+ */
+export function updateConnectionStatus(status, attempt = 0) {
   const statusEl = document.getElementById("connectionStatus");
   if (!statusEl) return;
 
-  if (isConnected) {
-    statusEl.className = "status connected";
-    statusEl.textContent = "✅ Connected to server";
-  } else {
-    statusEl.className = "status disconnected";
-    statusEl.textContent = "❌ Disconnected from server";
+  switch (status) {
+    case "connected":
+      statusEl.className = "status connected";
+      statusEl.textContent = "✅ Ansluten till servern";
+      break;
+    case "connecting":
+      statusEl.className = "status connecting";
+      statusEl.textContent = "⏳ Ansluter...";
+      break;
+    case "reconnecting":
+      statusEl.className = "status connecting";
+      statusEl.textContent = `🔄 Återansluter (försök ${attempt})...`;
+      break;
+    case "restarting":
+      // The game is saved on the server and picks up after the restart
+      statusEl.className = "status connecting";
+      statusEl.textContent = "🔄 Servern startar om, spelet fortsätter strax...";
+      break;
+    default:
+      statusEl.className = "status disconnected";
+      statusEl.textContent = "❌ Offline – ladda om sidan för att försöka igen";
   }
 }
 
@@ -117,6 +204,38 @@ export function showError(errorMessage) {
   }, 3000);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// RELOAD NOTICE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Tells the player this page no longer matches the server
+ * Stays up until the page is reloaded: nothing else can work meanwhile.
+ */
+export function showReloadNotice() {
+  if (document.getElementById("reloadNotice")) return;
+
+  const overlay = document.createElement("div");
+  overlay.id = "reloadNotice";
+  overlay.className = "win-overlay";
+  overlay.innerHTML = `
+    <div class="win-modal">
+      <div class="win-title">Spelet har uppdaterats</div>
+      <div class="win-text">Ladda om sidan för att fortsätta spela.</div>
+
+      <div class="win-buttons">
+        <button class="win-btn primary" id="reloadPageBtn">Ladda om</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  overlay
+    .querySelector("#reloadPageBtn")
+    .addEventListener("click", () => window.location.reload());
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GAME START PLACEHOLDER
 // ═══════════════════════════════════════════════════════════════════════════
@@ -147,37 +266,258 @@ export function hideStartingPlaceholder() {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// WIN POPUP
+// GAME CLOCK
 // ═══════════════════════════════════════════════════════════════════════════
 
-let hasShownWinPopupForGameId = null;
+let clockTimer = null;
 
-function escapeHTML(str) {
-  return String(str).replace(/[&<>"']/g, (c) => {
-    return {
-      "&": "&amp;",
-      "<": "&lt;",
-      ">": "&gt;",
-      '"': "&quot;",
-      "'": "&#39;",
-    }[c];
-  });
+/**
+ * Shows a live game clock based on the server's timing info
+ * Counts down in "beat the clock" games, up otherwise. The server's
+ * elapsed time is the base, so the device clock doesn't need to match.
+ * @param {object} gameState - Latest GAME_STATE
+ */
+export function updateGameClock(gameState) {
+  const clockEl = document.getElementById("gameClock");
+  if (!clockEl) return;
+
+  clearInterval(clockTimer);
+  clockTimer = null;
+
+  const receivedAt = Date.now();
+  const isRunning = gameState.status === "playing" && gameState.startedAt;
+
+  const render = () => {
+    const elapsed =
+      (gameState.elapsedMs || 0) + (isRunning ? Date.now() - receivedAt : 0);
+
+    if (gameState.timeLimitMs) {
+      const left = Math.max(0, gameState.timeLimitMs - elapsed);
+      clockEl.textContent = `⏳ ${formatDuration(left + 999)} kvar`;
+      clockEl.classList.toggle("clock-low", left < 10000);
+    } else {
+      clockEl.textContent = `⏱️ ${formatDuration(elapsed)}`;
+      clockEl.classList.remove("clock-low");
+    }
+  };
+
+  render();
+
+  if (isRunning) {
+    clockTimer = setInterval(render, 250);
+  }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TURN TIMER
+// ═══════════════════════════════════════════════════════════════════════════
+
+let turnTimer = null;
+
+/**
+ * Shows the per-turn countdown as a ring in the sidebar and on the
+ * board frame, in the active player's colour
+ * @param {object} gameState - Latest GAME_STATE
+ */
+export function updateTurnTimer(gameState) {
+  const ringEl = document.getElementById("turnTimer");
+  const frameEl = document.getElementById("cardGrid");
+
+  clearInterval(turnTimer);
+  turnTimer = null;
+
+  const isActive =
+    gameState.status === "playing" &&
+    gameState.turnLimitMs &&
+    gameState.turnRemainingMs !== null &&
+    gameState.turnRemainingMs !== undefined;
+
+  if (ringEl) ringEl.hidden = !isActive;
+  frameEl?.classList.toggle("turn-timed", Boolean(isActive));
+  if (!isActive) return;
+
+  const activePlayer = gameState.players[gameState.activePlayerIndex];
+  const turnColor = BOARD_COLOR_MAP[activePlayer.color] || activePlayer.color;
+  ringEl?.style.setProperty("--turn-color", turnColor);
+  frameEl?.style.setProperty("--turn-color", turnColor);
+
+  const receivedAt = Date.now();
+  const label = ringEl?.querySelector(".turn-timer-label");
+
+  const render = () => {
+    const left = Math.max(
+      0,
+      gameState.turnRemainingMs - (Date.now() - receivedAt),
+    );
+    const progress = left / gameState.turnLimitMs;
+    ringEl?.style.setProperty("--turn-progress", progress);
+    frameEl?.style.setProperty("--turn-progress", progress);
+    if (label) label.textContent = Math.ceil(left / 1000);
+  };
+
+  render();
+  turnTimer = setInterval(render, 100);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LEADERBOARD
+// ═══════════════════════════════════════════════════════════════════════════
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Calls `onChange(mode)` when the leaderboard filter changes
+ * @param {function} onChange - Receives the selected mode ("" for all)
+ */
+export function initLeaderboardFilter(onChange) {
+  const select = document.getElementById("leaderboardFilter");
+  if (!select) return;
+
+  select.addEventListener("change", () => onChange(select.value || null));
+}
+
+export function getLeaderboardFilter() {
+  const select = document.getElementById("leaderboardFilter");
+  return select?.value || null;
+}
+
+export function renderLeaderboard(message) {
+  const list = document.getElementById("leaderboardList");
+  if (!list) return;
+
+  // Ignore late answers for a filter that is no longer selected
+  if ((message.mode ?? null) !== getLeaderboardFilter()) return;
+
+  if (!message.scores || message.scores.length === 0) {
+    list.innerHTML = `<li class="leaderboard-empty">Inga resultat än</li>`;
+    return;
+  }
+
+  list.innerHTML = message.scores
+    .map((s) => {
+      const winner = s.winner ? normalizeLabel(s.winner) : "Oavgjort";
+      return `
+        <li>
+          <strong>${escapeHTML(winner)}</strong> – ${s.moves} drag, ${formatDuration(s.durationMs)}
+          <span class="leaderboard-meta">(${escapeHTML(s.mode.startsWith("daily-") ? "dagens" : s.mode)}, ${s.playerCount} sp.)</span>
+        </li>`;
+    })
+    .join("");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY CONTROLS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Shows the replay panel and wires its controls
+ * @param {object} handlers - { onPlayPause(), onSeek(index), onExit() }
+ */
+export function showReplayControls({ onPlayPause, onSeek, onExit }) {
+  const panel = document.getElementById("replayPanel");
+  if (!panel) return;
+
+  panel.hidden = false;
+
+  // Assigning (instead of addEventListener) replaces the previous replay's handlers
+  document.getElementById("replayPlayBtn").onclick = onPlayPause;
+  document.getElementById("replayExitBtn").onclick = onExit;
+  document.getElementById("replayScrubber").oninput = (e) =>
+    onSeek(parseInt(e.target.value, 10));
+}
+
+export function hideReplayControls() {
+  const panel = document.getElementById("replayPanel");
+  if (panel) panel.hidden = true;
+}
+
+/**
+ * Updates the replay panel for the frame on screen
+ * @param {object} frame - Replay frame (a GAME_STATE plus `event`)
+ * @param {number} index - Frame number
+ * @param {number} total - Number of frames
+ * @param {boolean} playing - Whether playback is running
+ */
+export function updateReplayControls(frame, index, total, playing) {
+  const scrubber = document.getElementById("replayScrubber");
+  if (scrubber) {
+    scrubber.max = total - 1;
+    scrubber.value = index;
+  }
+
+  const playBtn = document.getElementById("replayPlayBtn");
+  if (playBtn) {
+    playBtn.textContent = playing ? "⏸ Pausa" : "▶ Spela";
+  }
+
+  const step = document.getElementById("replayStep");
+  if (step) {
+    step.innerHTML = `
+      <strong>Steg ${index}/${total - 1}</strong> (${formatDuration(frame.elapsedMs)})<br>
+      ${escapeHTML(describeReplayEvent(frame))}
+    `;
+  }
+}
+
+// One line of Swedish text for a replay event
+function describeReplayEvent(frame) {
+  const { event } = frame;
+  if (!event) return "Spelet börjar";
+
+  const player = normalizeLabel(frame.players[event.playerIndex]?.color);
+
+  switch (event.type) {
+    case "flip":
+      return `${player} vänder ${event.value}`;
+    case "match":
+      return `${player} hittar ett par (${event.value})`;
+    case "mismatch":
+      return `${player} missar`;
+    case "turn": {
+      const next = normalizeLabel(frame.players[event.nextPlayerIndex]?.color);
+      return event.reason === "timeout"
+        ? `${player}s tid tog slut, ${next}s tur`
+        : `${next}s tur`;
+    }
+    case "win":
+      return "Alla par hittade!";
+    case "lost":
+      return "Tiden tog slut";
+    default:
+      return event.type;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WIN POPUP
+// ═══════════════════════════════════════════════════════════════════════════
+
+let hasShownWinPopupForGameId = null;
+
 function getWinners(gameState) {
   const maxScore = Math.max(...gameState.players.map((p) => p.score));
   const winners = gameState.players.filter((p) => p.score === maxScore);
   return { winners, maxScore };
 }
 
+/**
+ * Shows the result popup for a finished game, once per game
+ * @returns {boolean} Whether it was shown now (false if it already was)
+ */
 export function showWinPopup(
   gameState,
   onPlayAgain,
   onConfettiStart,
   onConfettiStop,
+  onReplay,
 ) {
   // Prevent showing popup multiple times for same game
-  if (hasShownWinPopupForGameId === gameState.gameId) return;
+  if (hasShownWinPopupForGameId === gameState.gameId) return false;
   hasShownWinPopupForGameId = gameState.gameId;
 
   // Start confetti
@@ -192,8 +532,27 @@ export function showWinPopup(
     ? "Spelet blev oavgjort. Ni behöver mer terapi."
     : ` Grattis ${winners.map((w) => normalizeLabel(w.color)).join(" & ")}! Du vann parterapin!`;
 
+  openResultPopup(gameState, title, onPlayAgain, onConfettiStop, onReplay);
+  return true;
+}
+
+/**
+ * Shows the result popup for a "beat the clock" game that ran out of time
+ * @param {object} gameState - Final GAME_STATE with status "lost"
+ * @param {function} onPlayAgain - Called with the player count
+ * @param {function} onReplay - Called with the gameId to watch the replay
+ */
+export function showLostPopup(gameState, onPlayAgain, onReplay) {
+  if (hasShownWinPopupForGameId === gameState.gameId) return;
+  hasShownWinPopupForGameId = gameState.gameId;
+
+  const title = "Tiden tog slut! Ni behöver mer terapi.";
+  openResultPopup(gameState, title, onPlayAgain, undefined, onReplay);
+}
+
+function openResultPopup(gameState, title, onPlayAgain, onClose, onReplay) {
   const scoreText = gameState.players
-    .map((p) => `${normalizeLabel(p.color)}: ${p.score}`)
+    .map((p) => `${playerLabel(p)}: ${p.score}`)
     .join(" • ");
 
   const overlay = document.createElement("div");
@@ -205,6 +564,7 @@ export function showWinPopup(
 
       <div class="win-buttons">
         <button class="win-btn secondary" id="closeWinModal">Close</button>
+        ${onReplay ? `<button class="win-btn secondary" id="replayBtn">Visa repris</button>` : ""}
         <button class="win-btn primary" id="playAgainBtn">Play again</button>
       </div>
     </div>
@@ -215,8 +575,8 @@ export function showWinPopup(
   // Close popup handler
   const closePopup = () => {
     overlay.remove();
-    if (onConfettiStop) {
-      onConfettiStop();
+    if (onClose) {
+      onClose();
     }
   };
 
@@ -230,6 +590,12 @@ export function showWinPopup(
     .querySelector("#closeWinModal")
     ?.addEventListener("click", closePopup);
 
+  // Replay button
+  overlay.querySelector("#replayBtn")?.addEventListener("click", () => {
+    closePopup();
+    onReplay(gameState.gameId);
+  });
+
   // Play again button
   overlay.querySelector("#playAgainBtn")?.addEventListener("click", () => {
     closePopup();
@@ -0,0 +1,125 @@
+// Computer opponents. A bot only ever looks at sanitized states,
+// the same view a human player gets, so it can't see hidden values.
+
+// How many face-down cards a bot remembers, and how likely it is to
+// forget each of them at the start of its turn
+export const BOT_DIFFICULTIES = {
+  easy: { memorySize: 2, forgetChance: 0.5 },
+  medium: { memorySize: 6, forgetChance: 0.2 },
+  hard: { memorySize: 16, forgetChance: 0.05 },
+};
+
+// Human-like pauses before each flip, in milliseconds
+const FIRST_FLIP_DELAY_MS = { min: 900, max: 1600 };
+const SECOND_FLIP_DELAY_MS = { min: 600, max: 1100 };
+
+// gameId -> Map(playerIndex -> Map(cardId -> value)), oldest first
+const memories = new Map();
+
+function getMemory(gameId, playerIndex) {
+  const gameMemories = memories.get(gameId) ?? new Map();
+  memories.set(gameId, gameMemories);
+
+  if (!gameMemories.has(playerIndex)) {
+    gameMemories.set(playerIndex, new Map());
+  }
+  return gameMemories.get(playerIndex);
+}
+
+function randomBetween({ min, max }) {
+  return min + Math.random() * (max - min);
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Lets every bot in the game see a new state
+ * Face-up cards are remembered (most recent last); matched cards are
+ * dropped since they are out of play.
+ * @param {object} view - Sanitized game state
+ */
+export function observe(view) {
+  view.players.forEach((player, playerIndex) => {
+    if (!player.bot) return;
+
+    const level = BOT_DIFFICULTIES[player.bot];
+    const memory = getMemory(view.gameId, playerIndex);
+
+    view.cards.forEach((card) => {
+      if (card.isMatched) {
+        memory.delete(card.id);
+      } else if (card.isFaceUp) {
+        // Re-insert so the card counts as most recently seen
+        memory.delete(card.id);
+        memory.set(card.id, card.value);
+      }
+    });
+
+    // Only the most recent cards fit in a bot's memory
+    while (memory.size > level.memorySize) {
+      memory.delete(memory.keys().next().value);
+    }
+  });
+}
+
+/**
+ * Picks the card the active bot flips next
+ * @param {object} view - Sanitized game state, with a bot as active player
+ * @returns {string|null} Card id, or null when nothing can be flipped
+ */
+export function chooseCard(view) {
+  const playerIndex = view.activePlayerIndex;
+  const level = BOT_DIFFICULTIES[view.players[playerIndex].bot];
+  const memory = getMemory(view.gameId, playerIndex);
+
+  const faceUp = view.cards.filter((card) => card.isFaceUp && !card.isMatched);
+  const hidden = view.cards.filter((card) => !card.isFaceUp);
+  if (hidden.length === 0) return null;
+
+  const known = hidden.filter((card) => memory.has(card.id));
+  const unknown = hidden.filter((card) => !memory.has(card.id));
+
+  if (faceUp.length === 1) {
+    // Second flip: go for the partner of the card just turned, if remembered
+    const partner = known.find((card) => memory.get(card.id) === faceUp[0].value);
+    if (partner) return partner.id;
+  } else {
+    // New turn: some memories fade first
+    for (const cardId of [...memory.keys()]) {
+      if (Math.random() < level.forgetChance) memory.delete(cardId);
+    }
+
+    // Start with a remembered pair if there is one
+    const seen = new Map();
+    for (const card of known) {
+      const value = memory.get(card.id);
+      if (!value) continue;
+      if (seen.has(value)) return seen.get(value);
+      seen.set(value, card.id);
+    }
+  }
+
+  // Otherwise explore: a card it hasn't seen tells it the most
+  return pickRandom(unknown.length > 0 ? unknown : hidden).id;
+}
+
+/**
+ * How long the active bot "thinks" before its next flip
+ * @param {object} view - Sanitized game state
+ * @returns {number} Delay in milliseconds
+ */
+export function getThinkDelay(view) {
+  const hasFirstCard = view.cards.some(
+    (card) => card.isFaceUp && !card.isMatched,
+  );
+  return Math.round(
+    randomBetween(hasFirstCard ? SECOND_FLIP_DELAY_MS : FIRST_FLIP_DELAY_MS),
+  );
+}
+
+// Drop everything the bots of a game remembered
+export function forgetGame(gameId) {
+  return memories.delete(gameId);
+}
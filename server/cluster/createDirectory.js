@@ -0,0 +1,67 @@
+/**
+ * Creates a directory of which worker owns which game
+ * Games are found by id, by join code (JOIN_ROOM, SPECTATE) or by
+ * session token (RESUME), so all three are indexed. The primary keeps
+ * the authoritative copy and every worker a mirror of it.
+ * @returns {object} The directory
+ */
+export default function createDirectory() {
+  // gameId -> { owner, code, tokens }
+  const games = new Map();
+  // join code -> gameId
+  const codes = new Map();
+  // session token -> gameId
+  const sessions = new Map();
+
+  function release(gameId) {
+    const entry = games.get(gameId);
+    if (!entry) return false;
+
+    if (entry.code) codes.delete(entry.code);
+    entry.tokens.forEach((token) => sessions.delete(token));
+    return games.delete(gameId);
+  }
+
+  return {
+    /**
+     * Records (or updates) the worker that owns a game
+     * @param {number} owner - Worker index
+     * @param {object} room - { gameId, code, tokens }
+     */
+    claim(owner, { gameId, code, tokens }) {
+      release(gameId);
+      games.set(gameId, { owner, code, tokens });
+      if (code) codes.set(code, gameId);
+      tokens.forEach((token) => sessions.set(token, gameId));
+    },
+
+    release,
+
+    // Forget every game of a worker (it exited)
+    releaseOwner(owner) {
+      [...games]
+        .filter(([, entry]) => entry.owner === owner)
+        .forEach(([gameId]) => release(gameId));
+    },
+
+    /**
+     * Finds the owner of a game
+     * @param {object} key - { gameId } | { code } | { token }
+     * @returns {number|null} Worker index, or null if nobody claimed it
+     */
+    lookup(key) {
+      const gameId = key.gameId ?? codes.get(key.code) ?? sessions.get(key.token);
+      return games.get(gameId)?.owner ?? null;
+    },
+
+    // Every claim, to bring a new worker's mirror up to date
+    entries() {
+      return [...games].map(([gameId, { owner, code, tokens }]) => ({
+        owner,
+        gameId,
+        code,
+        tokens,
+      }));
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// The cluster's primary process: forks the workers (which share the
+// port), keeps the directory of which worker owns which game, relays
+// IPC between workers and is the only process writing highscores.
+// No external broker is needed; everything runs on one machine.
+
+import cluster from "cluster";
+import createDirectory from "./createDirectory.js";
+import * as highscores from "../highscores.js";
+import { getDailySecret } from "../game/dailyChallenge.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger({ module: "primary" });
+
+// A worker that dies sooner than this after starting is restarted
+// with a pause, so a crash loop doesn't spin the CPU
+const MIN_UPTIME_MS = 5 * 1000;
+const RESTART_DELAY_MS = 1000;
+// Longest the workers may take to shut down
+const SHUTDOWN_TIMEOUT_MS = 15 * 1000;
+
+// What workers may ask the primary to run for them
+const REMOTE_CALLS = {
+  recordGame: highscores.recordGame,
+  getHighscores: highscores.getHighscores,
+};
+
+/**
+ * Starts the workers and keeps them running
+ * Each worker runs the full server (see createServer) with its own
+ * WORKER_INDEX, which it keeps across restarts so it finds its games
+ * in its own store again.
+ * @param {number} workerCount - How many workers to run
+ */
+export default function startPrimary(workerCount) {
+  const directory = createDirectory();
+  // worker index -> cluster worker
+  const workers = new Map();
+  let shuttingDown = false;
+
+  function sendTo(index, message) {
+    const worker = workers.get(index);
+    if (!worker?.isConnected()) return false;
+    worker.send(message);
+    return true;
+  }
+
+  function broadcast(message, except) {
+    workers.forEach((worker, index) => {
+      if (index !== except) sendTo(index, message);
+    });
+  }
+
+  function runCall(index, { id, method, args }) {
+    const call = REMOTE_CALLS[method];
+    const result = call
+      ? Promise.resolve().then(() => call(...args))
+      : Promise.reject(new Error(`Unknown call: ${method}`));
+
+    result
+      .then((value) => sendTo(index, { kind: "reply", id, result: value }))
+      .catch((err) => {
+        log.error("Remote call failed", { method, worker: index, err });
+        sendTo(index, { kind: "reply", id, error: err.message });
+      });
+  }
+
+  function handleMessage(index, message) {
+    switch (message?.kind) {
+      case "join":
+        sendTo(index, { kind: "directory", entries: directory.entries() });
+        break;
+
+      case "claim":
+        directory.claim(index, message.room);
+        broadcast({ kind: "claim", owner: index, room: message.room }, index);
+        break;
+
+      case "release":
+        directory.release(message.gameId);
+        broadcast({ kind: "release", gameId: message.gameId }, index);
+        break;
+
+      case "call":
+        runCall(index, message);
+        break;
+
+      // Everything else is addressed to one worker
+      default:
+        if (message?.to !== undefined) {
+          sendTo(message.to, { ...message, from: index });
+        }
+    }
+  }
+
+  function fork(index) {
+    const startedAt = Date.now();
+    const worker = cluster.fork({ WORKER_INDEX: String(index) });
+    workers.set(index, worker);
+
+    worker.on("message", (message) => handleMessage(index, message));
+
+    worker.on("exit", (code, signal) => {
+      if (workers.get(index) === worker) workers.delete(index);
+      directory.releaseOwner(index);
+      broadcast({ kind: "worker-exit", owner: index });
+
+      if (shuttingDown) {
+        if (workers.size === 0) finish();
+        return;
+      }
+
+      log.error("Worker exited, restarting it", {
+        worker: index,
+        exit: signal ?? code,
+      });
+      const delayMs =
+        Date.now() - startedAt < MIN_UPTIME_MS ? RESTART_DELAY_MS : 0;
+      setTimeout(() => fork(index), delayMs);
+    });
+  }
+
+  async function finish() {
+    await highscores.flushHighscores();
+    process.exit(0);
+  }
+
+  function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info("Shutting down workers", { workers: workers.size, signal });
+
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+
+    if (workers.size === 0) {
+      finish();
+      return;
+    }
+    // Each worker saves its games and closes its sockets (see createServer)
+    workers.forEach((worker) => worker.process.kill("SIGTERM"));
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
+  // Make the Daily Challenge secret before any worker looks for it, so
+  // they all read the same one instead of racing to write their own
+  getDailySecret();
+
+  log.info("Starting workers", { workers: workerCount });
+  for (let index = 1; index <= workerCount; index++) {
+    fork(index);
+  }
+}
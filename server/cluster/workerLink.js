@@ -0,0 +1,514 @@
+// A worker's side of the cluster. Each game lives on the worker that
+// created it; a socket can be connected to any worker. Messages about
+// another worker's game are forwarded to it (through the primary), and
+// there the socket is stood in for by a RemoteSocket whose sends come
+// back over IPC. Broadcasts therefore reach every socket in a game,
+// whichever worker it is connected to.
+//
+// IPC messages all have a `kind`:
+//   worker -> primary: join, claim, release, forward, socket-closed,
+//                      deliver, close-socket, forward-http,
+//                      http-response, call
+//   primary -> worker: directory, claim, release, worker-exit, plus the
+//                      relayed ones above (with `from` added), reply
+
+import cluster from "cluster";
+import { Readable } from "stream";
+import createDirectory from "./createDirectory.js";
+import * as gameManager from "../game/gameManager.js";
+import * as roomManager from "../roomManager.js";
+import * as highscores from "../highscores.js";
+import { MAX_MESSAGE_BYTES } from "../../utils/validate.js";
+import { createLogger } from "../logger.js";
+
+export const isClusterWorker = cluster.isWorker;
+// Stable across restarts of the same worker, unlike cluster.worker.id
+export const WORKER_INDEX = Number(process.env.WORKER_INDEX ?? 0);
+
+// How long a forwarded REST request or highscore call may take
+const REMOTE_TIMEOUT_MS = 10 * 1000;
+
+const log = createLogger({ module: "cluster" });
+
+// Messages that put the socket into a game's room
+const ATTACHING = new Set([
+  "NEW_GAME",
+  "CREATE_ROOM",
+  "JOIN_ROOM",
+  "RESUME",
+  "SPECTATE",
+]);
+
+// Mirror of the primary's directory: which worker owns which game
+const directory = createDirectory();
+
+// ===== SOCKETS CONNECTED HERE =====
+let nextSocketId = 1;
+// socketId -> ws, for sockets that have talked to another worker
+const sockets = new Map();
+// ws -> socketId
+const socketIds = new WeakMap();
+// ws -> Set of workers holding a RemoteSocket for it
+const remoteWorkers = new WeakMap();
+// ws -> worker whose room it joined last
+const attachments = new WeakMap();
+
+// ===== SOCKETS OF OTHER WORKERS =====
+// "worker:socketId" -> RemoteSocket
+const remoteSockets = new Map();
+
+// Pending REST requests and highscore calls: id -> { resolve, timer }
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// Set by startWorker
+let hooks = null;
+
+/**
+ * Stands in for a socket connected to another worker
+ * Has just enough of a WebSocket for the message handlers: sends
+ * and closes travel back to the worker holding the real socket.
+ */
+class RemoteSocket {
+  constructor(worker, socketId) {
+    this.worker = worker;
+    this.socketId = socketId;
+    this.readyState = 1; // OPEN
+  }
+
+  send(data) {
+    process.send({
+      kind: "deliver",
+      to: this.worker,
+      socketId: this.socketId,
+      data,
+    });
+  }
+
+  close(code, reason) {
+    if (this.readyState !== 1) return;
+    this.readyState = 2; // CLOSING, until the real socket has closed
+    process.send({
+      kind: "close-socket",
+      to: this.worker,
+      socketId: this.socketId,
+      code,
+      reason,
+    });
+  }
+}
+
+function getSocketId(ws) {
+  let socketId = socketIds.get(ws);
+  if (!socketId) {
+    socketId = nextSocketId++;
+    socketIds.set(ws, socketId);
+    sockets.set(socketId, ws);
+  }
+  return socketId;
+}
+
+/**
+ * How a socket is named in log lines: "worker:socketId", the same on
+ * the worker holding it and on the workers it sent messages to
+ * @param {WebSocket|RemoteSocket} ws - Socket here or stand-in for one
+ * @returns {string} The label
+ */
+export function getSocketLabel(ws) {
+  return ws instanceof RemoteSocket
+    ? `${ws.worker}:${ws.socketId}`
+    : `${WORKER_INDEX}:${getSocketId(ws)}`;
+}
+
+// Which game a message is about, or null if any worker can answer it
+function getRouteKey(message) {
+  switch (message.type) {
+    case "JOIN_ROOM":
+      return { code: String(message.roomCode).toUpperCase() };
+    case "RESUME":
+      return { token: message.sessionToken };
+    case "SPECTATE":
+      return message.roomCode
+        ? { code: String(message.roomCode).toUpperCase() }
+        : { gameId: message.gameId };
+    case "RESYNC":
+    case "FLIP_CARD":
+    case "GET_REPLAY":
+      return { gameId: message.gameId };
+    default:
+      return null;
+  }
+}
+
+// Whether this worker has (or just had) the game a key points to
+function isLocal(key) {
+  if (key.code) return roomManager.getRoomByCode(key.code) !== null;
+  if (key.token) return roomManager.getRoomBySession(key.token) !== null;
+  return (
+    gameManager.getGame(key.gameId) !== null ||
+    gameManager.wasExpired(key.gameId)
+  );
+}
+
+// The worker a message belongs on; WORKER_INDEX for this one
+function findOwner(ws, message) {
+  // Spectators stop watching wherever they started
+  if (message.type === "STOP_SPECTATING") {
+    return attachments.get(ws) ?? WORKER_INDEX;
+  }
+
+  const key = getRouteKey(message);
+  if (!key || isLocal(key)) return WORKER_INDEX;
+  return directory.lookup(key) ?? WORKER_INDEX;
+}
+
+// Drop this socket's stand-in on another worker (it leaves that game)
+function releaseRemote(ws, worker) {
+  remoteWorkers.get(ws)?.delete(worker);
+  if (attachments.get(ws) === worker) attachments.delete(ws);
+  process.send({ kind: "socket-closed", to: worker, socketId: getSocketId(ws) });
+}
+
+/**
+ * Sends a message to the worker that owns its game
+ * Call it for every validated message after the handshake.
+ * @param {WebSocket} ws - Socket the message came in on
+ * @param {object} message - Parsed message
+ * @param {object} handshake - The socket's { protocolVersion, features }
+ * @returns {boolean} Whether the message was forwarded (if not,
+ *   handle it here as usual)
+ */
+export function routeMessage(ws, message, handshake) {
+  if (!isClusterWorker) return false;
+
+  const owner = findOwner(ws, message);
+  const attachedTo = attachments.get(ws);
+
+  // A socket is in one room at a time: joining another one leaves
+  // the room on the other worker, or the one here
+  if (ATTACHING.has(message.type)) {
+    if (attachedTo !== undefined && attachedTo !== owner) {
+      releaseRemote(ws, attachedTo);
+    }
+    if (owner !== WORKER_INDEX) {
+      hooks.leaveRoom(ws);
+      attachments.set(ws, owner);
+    }
+  }
+
+  if (owner === WORKER_INDEX) return false;
+
+  const workers = remoteWorkers.get(ws) ?? new Set();
+  remoteWorkers.set(ws, workers.add(owner));
+
+  process.send({
+    kind: "forward",
+    to: owner,
+    socketId: getSocketId(ws),
+    handshake,
+    message,
+  });
+  return true;
+}
+
+/**
+ * Tells the other workers that a socket here has closed
+ * @param {WebSocket} ws - The closed socket
+ */
+export function forgetSocket(ws) {
+  if (!isClusterWorker) return;
+
+  [...(remoteWorkers.get(ws) ?? [])].forEach((worker) =>
+    releaseRemote(ws, worker),
+  );
+
+  const socketId = socketIds.get(ws);
+  if (socketId) sockets.delete(socketId);
+}
+
+// Stand-ins for sockets on other workers, e.g. to warn them on shutdown
+export function getRemoteSockets() {
+  return [...remoteSockets.values()];
+}
+
+// ===== ROOM OWNERSHIP =====
+
+// What the directory needs to know about a stored room
+function toClaim({ gameId, code, seats }) {
+  return {
+    gameId,
+    code,
+    tokens: [...new Set(seats.map((seat) => seat?.token).filter(Boolean))],
+  };
+}
+
+/**
+ * Wraps the room store so every saved room is claimed for this worker
+ * and every deleted one released
+ * @param {object} store - Store from createStore
+ * @returns {object} Store with the same interface
+ */
+export function claimRoomsIn(store) {
+  if (!isClusterWorker) return store;
+
+  return {
+    ...store,
+
+    set(key, value, ttlMs) {
+      store.set(key, value, ttlMs);
+      process.send({ kind: "claim", room: toClaim(value) });
+    },
+
+    delete(key) {
+      const deleted = store.delete(key);
+      if (deleted) process.send({ kind: "release", gameId: key });
+      return deleted;
+    },
+
+    // Rooms restored after a restart are ours again
+    async load() {
+      await store.load();
+      store
+        .list()
+        .forEach(({ value }) =>
+          process.send({ kind: "claim", room: toClaim(value) }),
+        );
+    },
+  };
+}
+
+// ===== REST REQUESTS =====
+
+// Game id of a request for /api/games/:id/...
+function getRequestedGame(url) {
+  return /^\/api\/games\/([\w-]+)(?:\/|$)/.exec(url.pathname)?.[1] ?? null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      // The owner answers 413; anything past the limit is not needed
+      if (size <= MAX_MESSAGE_BYTES) chunks.push(chunk);
+      size += chunk.length;
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+// Sends a request to the primary and waits for the reply with its id
+function request(message) {
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`No answer to ${message.kind} in time`));
+    }, REMOTE_TIMEOUT_MS);
+
+    pendingRequests.set(id, { resolve, reject, timer });
+    process.send({ ...message, id });
+  });
+}
+
+function settleRequest(id, error, result) {
+  const pending = pendingRequests.get(id);
+  if (!pending) return;
+
+  pendingRequests.delete(id);
+  clearTimeout(pending.timer);
+  if (error) pending.reject(new Error(error));
+  else pending.resolve(result);
+}
+
+/**
+ * Passes a REST request about another worker's game on to it
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Response to fill in
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<boolean>} Whether the request was forwarded
+ */
+export async function routeApiRequest(req, res, url) {
+  if (!isClusterWorker) return false;
+
+  const gameId = getRequestedGame(url);
+  if (!gameId || isLocal({ gameId })) return false;
+
+  const owner = directory.lookup({ gameId });
+  if (owner === null) return false;
+
+  try {
+    const response = await request({
+      kind: "forward-http",
+      to: owner,
+      request: {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        ip: req.socket.remoteAddress,
+        body: await readBody(req),
+      },
+    });
+    res.writeHead(response.status, response.headers);
+    res.end(response.body);
+  } catch (err) {
+    log.error("Failed to forward REST request", { path: url.pathname, err });
+    res.writeHead(504, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        error: { code: "WORKER_TIMEOUT", message: "The game did not answer" },
+      }),
+    );
+  }
+  return true;
+}
+
+// Runs a forwarded REST request here, collecting the response
+async function answerApiRequest(from, id, { method, url, headers, ip, body }) {
+  const req = Readable.from([Buffer.from(body, "utf-8")]);
+  Object.assign(req, { method, url, headers, socket: { remoteAddress: ip } });
+
+  const response = { status: 200, headers: {}, body: "" };
+  const res = {
+    headersSent: false,
+    writeHead(status, responseHeaders = {}) {
+      response.status = status;
+      response.headers = responseHeaders;
+      this.headersSent = true;
+    },
+    end(data = "") {
+      response.body = String(data);
+    },
+  };
+
+  await hooks.handleApiRequest(req, res, new URL(url, "http://localhost"));
+  process.send({ kind: "http-response", to: from, id, response });
+}
+
+// ===== IPC =====
+
+const ipcHandlers = {
+  directory({ entries }) {
+    entries.forEach(({ owner, ...room }) => directory.claim(owner, room));
+  },
+
+  claim({ owner, room }) {
+    directory.claim(owner, room);
+  },
+
+  release({ gameId }) {
+    directory.release(gameId);
+  },
+
+  // Another worker died: its games come back when it restarts, so
+  // players in them reconnect and RESUME
+  "worker-exit"({ owner }) {
+    directory.releaseOwner(owner);
+
+    // Its sockets are gone too
+    for (const [key, remote] of remoteSockets) {
+      if (remote.worker !== owner) continue;
+      remoteSockets.delete(key);
+      remote.readyState = 3; // CLOSED
+      hooks.disconnect(remote);
+    }
+
+    for (const ws of sockets.values()) {
+      remoteWorkers.get(ws)?.delete(owner);
+      if (attachments.get(ws) !== owner) continue;
+
+      attachments.delete(ws);
+      if (ws.readyState !== 1) continue;
+      ws.send(
+        JSON.stringify({
+          type: "SERVER_RESTARTING",
+          message: "The server is restarting, you will be reconnected shortly",
+        }),
+      );
+      ws.close(1012, "Server restarting");
+    }
+  },
+
+  // A message for one of our games from a socket on another worker
+  forward({ from, socketId, handshake, message }) {
+    const key = `${from}:${socketId}`;
+    let remote = remoteSockets.get(key);
+    if (!remote) {
+      remote = new RemoteSocket(from, socketId);
+      remoteSockets.set(key, remote);
+      hooks.adoptSocket(remote, handshake);
+    }
+    hooks.dispatch(remote, message);
+  },
+
+  "socket-closed"({ from, socketId }) {
+    const key = `${from}:${socketId}`;
+    const remote = remoteSockets.get(key);
+    if (!remote) return;
+
+    remoteSockets.delete(key);
+    remote.readyState = 3; // CLOSED
+    hooks.disconnect(remote);
+  },
+
+  deliver({ socketId, data }) {
+    const ws = sockets.get(socketId);
+    if (ws?.readyState === 1) ws.send(data);
+  },
+
+  "close-socket"({ socketId, code, reason }) {
+    sockets.get(socketId)?.close(code, reason);
+  },
+
+  "forward-http"({ from, id, request: forwarded }) {
+    answerApiRequest(from, id, forwarded).catch((err) => {
+      log.error("Failed to answer forwarded REST request", { from, err });
+    });
+  },
+
+  "http-response"({ id, response }) {
+    settleRequest(id, null, response);
+  },
+
+  reply({ id, error, result }) {
+    settleRequest(id, error, result);
+  },
+};
+
+/**
+ * Connects this worker to the primary
+ * @param {object} serverHooks - What the server lets other workers use:
+ *   dispatch(ws, message) runs a message handler,
+ *   adoptSocket(ws, handshake) registers a RemoteSocket's handshake,
+ *   disconnect(ws) cleans up after a closed socket,
+ *   leaveRoom(ws) takes a socket out of its room here,
+ *   handleApiRequest(req, res, url) answers a REST request
+ */
+export function startWorker(serverHooks) {
+  if (!isClusterWorker) return;
+  hooks = serverHooks;
+
+  process.on("message", (message) => {
+    const handler = ipcHandlers[message?.kind];
+    if (!handler) return;
+
+    try {
+      handler(message);
+    } catch (err) {
+      log.error("Failed to handle message from the cluster", {
+        kind: message.kind,
+        err,
+      });
+    }
+  });
+
+  // Only one process may write the highscore file
+  highscores.useRemoteHighscores((method, args) =>
+    request({ kind: "call", method, args }),
+  );
+
+  // Ask for the directory as it is now
+  process.send({ kind: "join" });
+}
@@ -0,0 +1,424 @@
+// Server settings in one place: built-in defaults, overridden by a JSON
+// file (config.json next to index.js, or CONFIG_FILE), overridden in
+// turn by environment variables. Everything is checked once at startup;
+// a bad value stops the server with a message naming the setting and
+// where it came from.
+//
+// See config.example.json for the file format.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateFields } from "../utils/validate.js";
+import { STORE_BACKENDS } from "./storage/createStore.js";
+import { LOG_LEVELS } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE = path.join(__dirname, "../config.json");
+
+// The colors the client has a board color and name for (BOARD_COLOR_MAP
+// and COLOR_LABEL in public/js/ui.js), which also caps the player count
+const CLIENT_COLORS = ["red", "yellow", "blue", "green"];
+
+export const DEFAULT_CONFIG = {
+  server: {
+    port: 8000,
+    workers: 1, // more than one runs a cluster
+    store: "json", // where games are kept, see server/storage/
+    logLevel: "info",
+    // Behind a proxy every socket comes from the proxy's address: read
+    // the client's from this header instead (its last entry, the one
+    // the proxy added)
+    trustProxy: false,
+    proxyHeader: "x-forwarded-for",
+  },
+  game: {
+    revealDelayMs: 800, // how long a mismatched pair stays face up
+    minPlayers: 1,
+    maxPlayers: 4,
+    maxGames: 1000, // held at once; the oldest are evicted beyond this
+    playerColors: CLIENT_COLORS, // one per seat
+    cardValues: "ABCDEFGHIJKLMNOPQR".split(""), // one per pair, in order
+    // Mixed into Daily Challenge seeds so the board can't be worked out
+    // from the date; when unset one is made and kept in data/daily-secret
+    dailySecret: null,
+  },
+  board: {
+    minSize: 2,
+    maxSize: 6,
+    // Named presets (rows x cols), each with an even number of cards
+    difficulties: {
+      easy: { rows: 3, cols: 4 },
+      medium: { rows: 4, cols: 4 },
+      hard: { rows: 5, cols: 6 },
+      expert: { rows: 6, cols: 6 },
+    },
+    defaultDifficulty: "medium",
+    dailyDifficulty: "hard", // every Daily Challenge uses this preset
+  },
+  timeouts: {
+    idleGameMs: 30 * 60 * 1000, // untouched games are removed
+    finishedGameMs: 5 * 60 * 1000, // won or lost games are kept this long
+    heartbeatMs: 30 * 1000, // sockets are pinged this often
+    shutdownMs: 10 * 1000, // longest a graceful shutdown may take
+  },
+  // Parts of the game that can be switched off
+  features: {
+    rooms: true, // online games with a join code
+    spectate: true,
+    replay: true,
+    bots: true,
+    highscores: true,
+    daily: true, // the Daily Challenge
+    delta: true, // STATE_PATCH messages instead of full states
+    restApi: true, // /api/
+  },
+};
+
+// Environment variables that override a setting: name -> "section.key".
+// Lists are comma-separated. Every feature can also be switched with
+// FEATURE_<NAME>=true|false, e.g. FEATURE_REST_API=false.
+export const ENV_OVERRIDES = {
+  PORT: "server.port",
+  WORKERS: "server.workers",
+  GAME_STORE: "server.store",
+  LOG_LEVEL: "server.logLevel",
+  TRUST_PROXY: "server.trustProxy",
+  PROXY_HEADER: "server.proxyHeader",
+  REVEAL_DELAY_MS: "game.revealDelayMs",
+  MIN_PLAYERS: "game.minPlayers",
+  MAX_PLAYERS: "game.maxPlayers",
+  MAX_GAMES: "game.maxGames",
+  PLAYER_COLORS: "game.playerColors",
+  CARD_VALUES: "game.cardValues",
+  DAILY_SECRET: "game.dailySecret",
+  MIN_BOARD_SIZE: "board.minSize",
+  MAX_BOARD_SIZE: "board.maxSize",
+  DEFAULT_DIFFICULTY: "board.defaultDifficulty",
+  DAILY_DIFFICULTY: "board.dailyDifficulty",
+  IDLE_TIMEOUT_MS: "timeouts.idleGameMs",
+  FINISHED_GAME_TTL_MS: "timeouts.finishedGameMs",
+  HEARTBEAT_INTERVAL_MS: "timeouts.heartbeatMs",
+  SHUTDOWN_TIMEOUT_MS: "timeouts.shutdownMs",
+};
+
+for (const feature of Object.keys(DEFAULT_CONFIG.features)) {
+  const name = feature.replace(/[A-Z]/g, (letter) => `_${letter}`);
+  ENV_OVERRIDES[`FEATURE_${name.toUpperCase()}`] = `features.${feature}`;
+}
+
+// ===== SCHEMA =====
+// Field schemas as in utils/validate.js, per section
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const SECTIONS = Object.fromEntries(
+  Object.keys(DEFAULT_CONFIG).map((section) => [section, { type: "object" }]),
+);
+
+const SCHEMAS = {
+  server: {
+    port: { type: "integer", required: true, min: 1, max: 65535 },
+    workers: { type: "integer", required: true, min: 1, max: 64 },
+    store: { type: "string", required: true, values: STORE_BACKENDS },
+    logLevel: {
+      type: "string",
+      required: true,
+      values: Object.keys(LOG_LEVELS),
+    },
+    trustProxy: { type: "boolean", required: true },
+    proxyHeader: {
+      type: "string",
+      required: true,
+      maxLength: 64,
+      pattern: /^[A-Za-z0-9-]+$/,
+    },
+  },
+  game: {
+    revealDelayMs: { type: "integer", required: true, min: 0, max: 10000 },
+    minPlayers: {
+      type: "integer",
+      required: true,
+      min: 1,
+      max: CLIENT_COLORS.length,
+    },
+    maxPlayers: {
+      type: "integer",
+      required: true,
+      min: 1,
+      max: CLIENT_COLORS.length,
+    },
+    maxGames: { type: "integer", required: true, min: 1, max: 100000 },
+    playerColors: {
+      type: "array",
+      required: true,
+      maxItems: CLIENT_COLORS.length,
+      items: { type: "string", values: CLIENT_COLORS },
+    },
+    cardValues: {
+      type: "array",
+      required: true,
+      maxItems: 100,
+      items: { type: "string", maxLength: 16 },
+    },
+    dailySecret: { type: "string", maxLength: 256 },
+  },
+  board: {
+    minSize: { type: "integer", required: true, min: 1, max: 10 },
+    maxSize: { type: "integer", required: true, min: 1, max: 10 },
+    difficulties: { type: "object", required: true },
+    defaultDifficulty: { type: "string", required: true, maxLength: 32 },
+    dailyDifficulty: { type: "string", required: true, maxLength: 32 },
+  },
+  timeouts: {
+    idleGameMs: {
+      type: "integer",
+      required: true,
+      min: MINUTE_MS,
+      max: DAY_MS,
+    },
+    finishedGameMs: { type: "integer", required: true, min: 0, max: DAY_MS },
+    heartbeatMs: {
+      type: "integer",
+      required: true,
+      min: 1000,
+      max: 10 * MINUTE_MS,
+    },
+    shutdownMs: {
+      type: "integer",
+      required: true,
+      min: 1000,
+      max: MINUTE_MS,
+    },
+  },
+  features: Object.fromEntries(
+    Object.keys(DEFAULT_CONFIG.features).map((feature) => [
+      feature,
+      { type: "boolean", required: true },
+    ]),
+  ),
+};
+
+const PRESET_FIELDS = {
+  rows: { type: "integer", required: true, min: 1, max: 10 },
+  cols: { type: "integer", required: true, min: 1, max: 10 },
+};
+
+// ===== ERRORS =====
+
+/**
+ * A setting that can't be used, thrown by loadConfig
+ * The message lists every problem, one per line.
+ */
+export class ConfigError extends Error {
+  constructor(problems) {
+    const list = problems.map((problem) => `  - ${problem}`).join("\n");
+    super(`Invalid server config:\n${list}`);
+    this.problems = problems;
+  }
+}
+
+// ===== LOADING =====
+
+// The settings from the JSON file, or {} when there is none
+function readFile(filePath, required) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return {};
+    throw new ConfigError([`Could not read ${filePath}: ${err.message}`]);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new ConfigError([`${filePath} is not valid JSON: ${err.message}`]);
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ConfigError([`${filePath} must contain an object`]);
+  }
+  return parsed;
+}
+
+// Turns an environment string into what the setting's schema expects;
+// anything that doesn't fit is left as a string for validation to reject
+function parseEnvValue(raw, schema) {
+  const value = raw.trim();
+  switch (schema.type) {
+    case "integer":
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case "boolean":
+      if (value === "true" || value === "1") return true;
+      if (value === "false" || value === "0") return false;
+      return value;
+    case "array":
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Every problem with the settings of one section, naming where each
+// bad value was set
+function checkSection(section, values, origins) {
+  const fields = SCHEMAS[section];
+
+  return Object.keys({ ...fields, ...values }).flatMap((key) => {
+    const result = validateFields(
+      Object.hasOwn(fields, key) ? { [key]: fields[key] } : {},
+      { [key]: values[key] },
+    );
+    if (result.valid) return [];
+
+    const origin = origins[`${section}.${key}`];
+    const where = origin ? ` (set in ${origin})` : "";
+    return [`${section}: ${result.error}${where}`];
+  });
+}
+
+// Rules that span several settings
+function checkConsistency({ game, board }) {
+  const problems = [];
+
+  if (game.minPlayers > game.maxPlayers) {
+    problems.push("game.minPlayers can't be more than game.maxPlayers");
+  }
+  if (game.playerColors.length < game.maxPlayers) {
+    problems.push(
+      `game.playerColors needs a color for each of the ${game.maxPlayers} players`,
+    );
+  }
+  if (new Set(game.playerColors).size !== game.playerColors.length) {
+    problems.push("game.playerColors must all be different");
+  }
+
+  if (board.minSize > board.maxSize) {
+    problems.push("board.minSize can't be more than board.maxSize");
+  }
+
+  const maxPairs = Math.floor((board.maxSize * board.maxSize) / 2);
+  if (game.cardValues.length < maxPairs) {
+    problems.push(
+      `game.cardValues needs ${maxPairs} values for a ${board.maxSize}x${board.maxSize} board`,
+    );
+  }
+  if (new Set(game.cardValues).size !== game.cardValues.length) {
+    problems.push("game.cardValues must all be different");
+  }
+
+  for (const [name, preset] of Object.entries(board.difficulties)) {
+    const result = validateFields(PRESET_FIELDS, preset ?? {});
+    if (!result.valid) {
+      problems.push(`board.difficulties.${name}: ${result.error}`);
+      continue;
+    }
+
+    const { rows, cols } = preset;
+    if (
+      Math.min(rows, cols) < board.minSize ||
+      Math.max(rows, cols) > board.maxSize
+    ) {
+      problems.push(
+        `board.difficulties.${name} must fit between board.minSize and board.maxSize`,
+      );
+    }
+    if ((rows * cols) % 2 !== 0) {
+      problems.push(
+        `board.difficulties.${name} must have an even number of cards`,
+      );
+    }
+  }
+
+  for (const key of ["defaultDifficulty", "dailyDifficulty"]) {
+    if (!Object.hasOwn(board.difficulties, board[key])) {
+      problems.push(
+        `board.${key} "${board[key]}" is not one of board.difficulties`,
+      );
+    }
+  }
+
+  return problems;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+let config = null;
+
+/**
+ * Builds and checks the settings: defaults, then the JSON file, then
+ * the environment. Each setting in the file replaces the default as a
+ * whole (so `difficulties` lists every preset that should exist).
+ * @param {object} options - { file, env }: the JSON file (CONFIG_FILE
+ *   or config.json, which may be missing) and the environment to read
+ * @returns {object} The settings, frozen
+ * @throws {ConfigError} When any setting is invalid
+ */
+export function loadConfig({
+  file = process.env.CONFIG_FILE,
+  env = process.env,
+} = {}) {
+  const fromFile = readFile(file ?? DEFAULT_FILE, Boolean(file));
+  const source = path.basename(file ?? DEFAULT_FILE);
+
+  const sections = validateFields(SECTIONS, fromFile);
+  if (!sections.valid) {
+    throw new ConfigError([`${source}: ${sections.error}`]);
+  }
+
+  // Where each setting came from, for the error messages
+  const origins = {};
+  const merged = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_CONFIG)) {
+    merged[section] = { ...structuredClone(defaults), ...fromFile[section] };
+    Object.keys(fromFile[section] ?? {}).forEach((key) => {
+      origins[`${section}.${key}`] = source;
+    });
+  }
+
+  for (const [name, settingPath] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] === undefined || env[name] === "") continue;
+
+    const [section, key] = settingPath.split(".");
+    merged[section][key] = parseEnvValue(env[name], SCHEMAS[section][key]);
+    origins[settingPath] = name;
+  }
+
+  const problems = Object.keys(SCHEMAS).flatMap((section) =>
+    checkSection(section, merged[section], origins),
+  );
+
+  // Cross-checks only make sense once every single value is usable
+  if (problems.length === 0) {
+    problems.push(...checkConsistency(merged));
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config = deepFreeze(merged);
+  return config;
+}
+
+/**
+ * The current settings, loaded from the file and environment on first use
+ * @returns {object} See DEFAULT_CONFIG for the shape
+ */
+export function getConfig() {
+  return config ?? loadConfig();
+}
@@ -1,43 +1,379 @@
 import http from "http";
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { WebSocketServer } from "ws";
 import {
-  sanitizeGameState,
   validateNewGame,
   validateFlipCard,
+  validateGetHighscores,
+  validateJoinRoom,
+  validateResume,
+  validateGetReplay,
+  validateSpectate,
+  validateResync,
 } from "../utils/messageFormats.js";
+import { diffGameStates } from "../utils/statePatches.js";
+import {
+  parseMessage,
+  MAX_MESSAGE_BYTES,
+  VALIDATION_ERRORS,
+} from "../utils/validate.js";
 import * as gameManager from "./game/gameManager.js";
-import applyMove, { unlockBoard } from "./game/applyMove.js";
+import * as roomManager from "./roomManager.js";
+import * as highscores from "./highscores.js";
+import * as botManager from "./botManager.js";
+import * as rateLimiter from "./rateLimiter.js";
+import applyMove, {
+  IGNORED_MOVE_MESSAGES,
+  startFirstTurn,
+} from "./game/applyMove.js";
+import getReplay from "./game/getReplay.js";
+import sanitizeGameState from "./game/sanitizeGameState.js";
+import {
+  PROTOCOL_VERSION,
+  negotiate,
+  isFeatureEnabled,
+  isMessageEnabled,
+} from "./protocol.js";
+import { createApiHandler } from "./restApi.js";
+import { createStaticHandler } from "./staticFiles.js";
+import createStore, { DEFAULT_STORE_BACKEND } from "./storage/createStore.js";
+import * as workerLink from "./cluster/workerLink.js";
+import { createLogger } from "./logger.js";
+import { getConfig } from "./config.js";
+import {
+  formatMetrics,
+  PROMETHEUS_CONTENT_TYPE,
+} from "../utils/prometheus.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Global process-level error handlers to catch unhandled rejections
-// and uncaught exceptions. These log the error and exit the process
-// to avoid running in an inconsistent state. If you prefer a graceful
-// shutdown, we can wire these to close the HTTP server and WebSocket
-// server before exiting.
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("❌ Unhandled Rejection at:", promise, "reason:", reason);
-  // It's safest to exit and let a supervisor restart the process.
-  // Delay exit slightly to allow logs to flush.
-  setTimeout(() => process.exit(1), 100);
-});
-
-process.on("uncaughtException", (err) => {
-  console.error("❌ Uncaught Exception:", err);
-  // As above, exit to avoid undefined behaviour.
-  setTimeout(() => process.exit(1), 100);
-});
+const log = createLogger();
+
+// Frames up to this size are read and answered with a typed error if
+// they are over MAX_MESSAGE_BYTES; anything bigger closes the socket
+// (1009) before it is even buffered
+const MAX_FRAME_BYTES = 4 * MAX_MESSAGE_BYTES;
+
+// gameId -> { seq, view } of the last broadcast: the base the next
+// patch is computed from, and the sequence number it continues
+const lastBroadcasts = new Map();
+
+// Names of sockets in log lines (ws -> socketId)
+let nextSocketId = 1;
+const socketIds = new WeakMap();
+
+function nameSocket(ws) {
+  socketIds.set(
+    ws,
+    workerLink.isClusterWorker
+      ? workerLink.getSocketLabel(ws)
+      : String(nextSocketId++),
+  );
+}
+
+// Logger for a socket: its lines carry the socket, the game it is in
+// and the player it plays (null when it has none)
+function socketLog(ws) {
+  const room = roomManager.getRoomForSocket(ws);
+  const playerIndex = room ? roomManager.getPlayerIndex(room, ws) : null;
+  const gameState =
+    playerIndex !== null ? gameManager.getGame(room.gameId) : null;
+
+  return log.child({
+    socketId: socketIds.get(ws) ?? null,
+    gameId: room?.gameId ?? null,
+    playerId: gameState?.players[playerIndex]?.id ?? null,
+  });
+}
+
+// Which game each socket holds a full snapshot of (ws -> gameId).
+// Patches only make sense on top of a snapshot of the same game.
+const snapshotHolders = new WeakMap();
+
+// Everything a client sees of a game: the sanitized state plus its room
+function getClientView(gameState) {
+  const room = roomManager.getRoom(gameState.gameId);
+  return {
+    ...sanitizeGameState(gameState),
+    roomCode: room?.code ?? null,
+    seats: room ? roomManager.getSeatInfo(room) : [],
+    spectators: room?.spectators.size ?? 0,
+  };
+}
+
+// Full snapshot, numbered like the broadcast it stands in for
+function sendSnapshot(ws, view, seq) {
+  if (safeSend(ws, { type: "GAME_STATE", ...view, seq })) {
+    snapshotHolders.set(ws, view.gameId);
+  }
+}
 
 function sendGameState(ws, gameState) {
-  const sanitized = sanitizeGameState(gameState);
+  const seq = lastBroadcasts.get(gameState.gameId)?.seq ?? 0;
+  sendSnapshot(ws, getClientView(gameState), seq);
+}
+
+// States produced by server-side timers (mismatch unlock, time limit,
+// turn limit): send them out and arm the turn limit for the new turn
+function handleTimerUpdate(gameState) {
+  broadcastGameState(gameState);
+  gameManager.scheduleTurnLimit(gameState, handleTimerUpdate);
+}
+
+// Tell a socket which game and seat it is attached to, with the
+// session token it needs to RESUME after a disconnect
+function sendRoomJoined(ws, room, joined) {
   safeSend(ws, {
-    type: "GAME_STATE",
-    ...sanitized,
+    type: "ROOM_JOINED",
+    gameId: room.gameId,
+    roomCode: room.code,
+    playerIndex: joined.playerIndex,
+    sessionToken: joined.sessionToken,
+  });
+}
+
+// Send the current state to every socket in the game's room: a numbered
+// patch to clients that support deltas and already hold a snapshot,
+// the full state to everyone else.
+// Bots see the same broadcast and get to move if it is their turn.
+function broadcastGameState(gameState) {
+  const { gameId } = gameState;
+  const room = roomManager.getRoom(gameId);
+  if (!room) return;
+
+  const view = getClientView(gameState);
+  const previous = lastBroadcasts.get(gameId);
+  const patches = previous ? diffGameStates(previous.view, view) : null;
+  const seq = (previous?.seq ?? 0) + 1;
+  lastBroadcasts.set(gameId, { seq, view });
+
+  // Serialized once, however many sockets are watching
+  const patchMessage =
+    patches && JSON.stringify({ type: "STATE_PATCH", gameId, seq, patches });
+
+  room.sockets.forEach((client) => {
+    if (
+      patchMessage &&
+      clientSupports(client, "delta") &&
+      snapshotHolders.get(client) === gameId
+    ) {
+      safeSend(client, patchMessage);
+    } else {
+      sendSnapshot(client, view, seq);
+    }
   });
+
+  botManager.observe(sanitizeGameState(gameState));
+  scheduleBotTurn(gameState);
+}
+
+// Arm the active bot's next flip (a no-op on human turns)
+function scheduleBotTurn(gameState) {
+  const view = sanitizeGameState(gameState);
+
+  gameManager.scheduleBotMove(
+    gameState,
+    botManager.getThinkDelay(view),
+    (currentState) => {
+      const cardId = botManager.chooseCard(sanitizeGameState(currentState));
+      if (cardId) playMove(currentState, cardId);
+    },
+  );
+}
+
+/**
+ * Creates a game and its room from a validated NEW_GAME / CREATE_ROOM
+ * Nobody is seated yet: the caller joins a socket or reserves a seat.
+ * @param {object} validation - Result of validateNewGame
+ * @param {boolean} online - Whether other devices can join with a code
+ * @returns {object} { gameState, room }
+ */
+function startGame(validation, online) {
+  const gameState = gameManager.createGame(
+    validation.playerCount,
+    validation.board,
+  );
+  const room = roomManager.createRoom(
+    gameState.gameId,
+    validation.playerCount,
+    online,
+    validation.board.bots,
+  );
+  return { gameState, room };
+}
+
+/**
+ * Starts the turn limit once every seat of the room is taken
+ * @param {object} room - Room whose seats just changed
+ * @returns {object} The game's current state
+ */
+function startTurnsWhenSeated(room) {
+  const gameState = gameManager.getGame(room.gameId);
+  if (!gameState || !roomManager.allSeatsTaken(room)) return gameState;
+
+  const started = startFirstTurn(gameState);
+  if (started !== gameState) {
+    gameManager.updateGame(room.gameId, started);
+    gameManager.scheduleTurnLimit(started, handleTimerUpdate);
+  }
+  return started;
+}
+
+/**
+ * Applies a flip that has already been authorized, then stores and
+ * broadcasts the result and (re)arms the game's timers
+ * @param {object} gameState - Current game state
+ * @param {string} cardId - Card to flip
+ * @returns {object} Result of applyMove
+ */
+function playMove(gameState, cardId) {
+  const { gameId } = gameState;
+  const result = applyMove(gameState, cardId);
+
+  if (result.error) return result;
+
+  gameManager.updateGame(gameId, result.gameState);
+
+  broadcastGameState(result.gameState);
+
+  // Record the result the moment the game is won
+  if (
+    gameState.status !== "won" &&
+    result.gameState.status === "won" &&
+    isFeatureEnabled("highscores")
+  ) {
+    highscores.recordGame(result.gameState).catch((err) => {
+      log.error("Failed to record highscore", { gameId, err });
+    });
+  }
+
+  // Per-turn limit: re-armed when a new turn starts
+  gameManager.scheduleTurnLimit(result.gameState, handleTimerUpdate);
+
+  // Timed games: start the countdown with the first flip,
+  // stop it once the game is over
+  if (result.gameState.status === "playing") {
+    gameManager.scheduleTimeLimit(result.gameState, handleTimerUpdate);
+  } else {
+    gameManager.cancelTimeLimit(gameId);
+  }
+
+  // Delay unlock if needed
+  if (result.needsDelayAction) {
+    gameManager.scheduleUnlock(gameId, result.delayMs, handleTimerUpdate);
+  }
+
+  return result;
+}
+
+// Re-arm the server timers of a game that was restored from the store
+function restoreGameTimers(gameState) {
+  if (gameState.status !== "playing") return;
+
+  if (gameState.lockBoard) {
+    gameManager.scheduleUnlock(
+      gameState.gameId,
+      getConfig().game.revealDelayMs,
+      handleTimerUpdate,
+    );
+  }
+  gameManager.scheduleTimeLimit(gameState, handleTimerUpdate);
+  gameManager.scheduleTurnLimit(gameState, handleTimerUpdate);
+  scheduleBotTurn(gameState);
+}
+
+// ===== METRICS =====
+// Counters since the server started, served on /metrics
+
+const serverStartedAt = Date.now();
+// message type -> count ("invalid" for frames that failed validation)
+const messageCounts = new Map();
+// error code -> count, for ERROR and REJECTED replies and REST errors
+const errorCounts = new Map();
+
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+function countError(code) {
+  increment(errorCounts, code ?? "none");
+}
+
+function counterSamples(counts, label) {
+  return [...counts].map(([key, value]) => ({ labels: { [label]: key }, value }));
+}
+
+/**
+ * Collects every metric in Prometheus text format
+ * @param {WebSocketServer} wss - Server whose sockets are counted
+ * @returns {string} Body for /metrics
+ */
+function renderMetrics(wss) {
+  const stats = gameManager.getStats();
+  const durationSec = stats.finishedDurationMs / 1000;
+
+  return formatMetrics([
+    {
+      name: "couples_therapy_uptime_seconds",
+      help: "Seconds since the server started.",
+      type: "gauge",
+      samples: [{ value: (Date.now() - serverStartedAt) / 1000 }],
+    },
+    {
+      name: "couples_therapy_games_active",
+      help: "Games held in memory (playing or recently finished).",
+      type: "gauge",
+      samples: [{ value: stats.games }],
+    },
+    {
+      name: "couples_therapy_sockets_connected",
+      help: "Open WebSocket connections.",
+      type: "gauge",
+      samples: [{ value: wss.clients.size }],
+    },
+    {
+      name: "couples_therapy_messages_received_total",
+      help: "WebSocket messages received, by type.",
+      type: "counter",
+      samples: counterSamples(messageCounts, "type"),
+    },
+    {
+      name: "couples_therapy_errors_total",
+      help: "Errors and rejections sent to clients, by code.",
+      type: "counter",
+      samples: counterSamples(errorCounts, "code"),
+    },
+    {
+      name: "couples_therapy_game_duration_seconds",
+      help: "Time from first flip to the end of finished games.",
+      type: "summary",
+      samples: [
+        { suffix: "_sum", value: durationSec },
+        { suffix: "_count", value: stats.finishedGames },
+      ],
+    },
+    {
+      name: "couples_therapy_game_duration_average_seconds",
+      help: "Average length of a finished game.",
+      type: "gauge",
+      samples: [
+        {
+          value: stats.finishedGames > 0 ? durationSec / stats.finishedGames : 0,
+        },
+      ],
+    },
+    {
+      name: "couples_therapy_timers_pending",
+      help: "Games waiting on a server timer, by timer (unlock = mismatch delay).",
+      type: "gauge",
+      samples: Object.entries(stats.pendingTimers).map(([timer, value]) => ({
+        labels: { timer },
+        value,
+      })),
+    },
+  ]);
 }
 
 // Safely send a payload to a WebSocket client. Guards against sending
@@ -47,172 +383,867 @@ function safeSend(ws, payload) {
   try {
     // `readyState === 1` means OPEN for ws library
     if (ws.readyState !== 1) {
-      console.warn("Attempted to send on non-open WebSocket");
+      socketLog(ws).debug("Attempted to send on non-open WebSocket");
       return false;
     }
 
+    if (payload.type === "ERROR" || payload.type === "REJECTED") {
+      countError(payload.code);
+    }
+
     const data =
       typeof payload === "string" ? payload : JSON.stringify(payload);
     ws.send(data);
     return true;
   } catch (err) {
-    console.error("❌ Failed to send message to client:", err);
+    socketLog(ws).error("Failed to send message to client", { err });
     return false;
   }
 }
 
-export default function createServer(port = 8000) {
-  // ===== HTTP SERVER (serves frontend) =====
-  const httpServer = http.createServer((req, res) => {
-    // Remove query strings (?v=123 etc)
-    const urlPath = req.url.split("?")[0];
+// Sockets that completed the HELLO handshake: ws -> { protocolVersion, features }
+const handshakes = new WeakMap();
+
+// Whether the client on this socket said it can use a protocol feature
+function clientSupports(ws, feature) {
+  return handshakes.get(ws)?.features.includes(feature) ?? false;
+}
 
-    const filePath = path.join(
-      __dirname,
-      "../public",
-      urlPath === "/" ? "index.html" : urlPath,
+// Turn away a client whose code doesn't match this server (e.g. a
+// stale cached client.js after a deploy); reloading the page fixes it
+function refuseClient(ws) {
+  safeSend(ws, {
+    type: "ERROR",
+    code: "INCOMPATIBLE_CLIENT",
+    serverVersion: PROTOCOL_VERSION,
+    message: "This page is out of date. Please reload to keep playing.",
+  });
+  ws.close(4000, "Incompatible client");
+}
+
+// Replies to each socket's recent actions: ws -> Map(requestId -> reply),
+// oldest first. A repeated request gets its first reply again instead
+// of being played twice.
+const recentReplies = new WeakMap();
+const MAX_REMEMBERED_REPLIES = 32;
+
+function replyToAction(ws, requestId, reply) {
+  const replies = recentReplies.get(ws) ?? new Map();
+  recentReplies.set(ws, replies);
+
+  replies.set(requestId, reply);
+  if (replies.size > MAX_REMEMBERED_REPLIES) {
+    replies.delete(replies.keys().next().value);
+  }
+
+  safeSend(ws, reply);
+}
+
+// The action was played; `version` is the state it produced
+function acknowledge(ws, requestId, version) {
+  replyToAction(ws, requestId, { type: "ACK", requestId, version });
+}
+
+function rejectAction(ws, requestId, code, message) {
+  replyToAction(ws, requestId, { type: "REJECTED", requestId, code, message });
+}
+
+// Refuse a message sent too often. A refused flip is not remembered
+// like other replies: the same request may be sent again later.
+function sendRateLimited(ws, message, type, retryAfterMs) {
+  const reply = {
+    code: "RATE_LIMITED",
+    messageType: type,
+    retryAfterMs,
+    message: "Too many messages, please slow down",
+  };
+
+  if (type === "FLIP_CARD" && message?.requestId) {
+    safeSend(ws, { type: "REJECTED", requestId: message.requestId, ...reply });
+  } else {
+    safeSend(ws, { type: "ERROR", ...reply });
+  }
+}
+
+// Client-facing explanations for why a game was removed
+const EXPIRY_MESSAGES = {
+  idle: "This game expired after being idle for too long",
+  finished: "This finished game has been closed",
+  evicted: "This game was closed because the server is full",
+};
+
+function sendGameExpired(ws, gameId, reason) {
+  safeSend(ws, {
+    type: "ERROR",
+    code: "GAME_EXPIRED",
+    gameId,
+    reason,
+    message: EXPIRY_MESSAGES[reason] ?? "This game has expired",
+  });
+}
+
+// ===== HELLO (protocol handshake) =====
+function handleHello(ws, message) {
+  const result = negotiate(message.protocolVersion, message.features ?? []);
+
+  if (!result.compatible) {
+    socketLog(ws).info("Refusing client with an incompatible protocol", {
+      protocolVersion: message.protocolVersion,
+      serverProtocolVersion: PROTOCOL_VERSION,
+    });
+    refuseClient(ws);
+    return;
+  }
+
+  handshakes.set(ws, {
+    protocolVersion: message.protocolVersion,
+    features: result.features,
+  });
+
+  safeSend(ws, {
+    type: "WELCOME",
+    protocolVersion: PROTOCOL_VERSION,
+    features: result.features,
+  });
+}
+
+// ===== NEW GAME =====
+function handleNewGame(ws, message) {
+  const validation = validateNewGame(message);
+
+  if (!validation.valid) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: VALIDATION_ERRORS.INVALID_VALUE,
+      message: validation.error,
+    });
+    return;
+  }
+
+  // Local game: this socket plays every seat
+  const { gameState, room } = startGame(validation, false);
+  const joined = roomManager.joinRoom(room, ws);
+
+  socketLog(ws).info("New game created", {
+    playerCount: validation.playerCount,
+    board: `${gameState.rows}x${gameState.cols}`,
+    seed: gameState.seed,
+  });
+
+  sendRoomJoined(ws, room, joined);
+  // Broadcast so a bot in the first seat starts playing
+  broadcastGameState(startTurnsWhenSeated(room));
+}
+
+// ===== CREATE ROOM (online game) =====
+function handleCreateRoom(ws, message) {
+  const validation = validateNewGame(message);
+
+  if (!validation.valid) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: VALIDATION_ERRORS.INVALID_VALUE,
+      message: validation.error,
+    });
+    return;
+  }
+
+  // The host takes the first human seat, others join with the code
+  const { gameState, room } = startGame(validation, true);
+  const joined = roomManager.joinRoom(room, ws);
+
+  socketLog(ws).info("Room created", {
+    roomCode: room.code,
+    playerCount: validation.playerCount,
+  });
+
+  sendRoomJoined(ws, room, joined);
+  // Broadcast so a bot in the first seat starts playing
+  broadcastGameState(startTurnsWhenSeated(room));
+}
+
+// ===== JOIN ROOM =====
+function handleJoinRoom(ws, message) {
+  const validation = validateJoinRoom(message);
+
+  if (!validation.valid) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: VALIDATION_ERRORS.INVALID_VALUE,
+      message: validation.error,
+    });
+    return;
+  }
+
+  const room = roomManager.getRoomByCode(validation.roomCode);
+  const gameState = room ? gameManager.getGame(room.gameId) : null;
+
+  if (!gameState) {
+    safeSend(ws, {
+      type: "ERROR",
+      message: "Room not found",
+    });
+    return;
+  }
+
+  const joined = roomManager.joinRoom(room, ws, validation.playerIndex);
+
+  if (joined.error) {
+    safeSend(ws, {
+      type: "ERROR",
+      message: joined.error,
+    });
+    return;
+  }
+
+  socketLog(ws).info("Socket joined room", {
+    roomCode: room.code,
+    playerIndex: joined.playerIndex,
+  });
+  gameManager.touchGame(room.gameId);
+
+  sendRoomJoined(ws, room, joined);
+
+  // Everyone sees the newly claimed seat
+  broadcastGameState(startTurnsWhenSeated(room));
+}
+
+// ===== RESUME (reconnect to a running game) =====
+function handleResume(ws, message) {
+  const validation = validateResume(message);
+
+  const resumed = roomManager.resumeSession(validation.sessionToken, ws);
+  const gameState = resumed.room
+    ? gameManager.getGame(resumed.room.gameId)
+    : null;
+
+  if (!gameState) {
+    if (resumed.room) roomManager.leaveRoom(ws);
+
+    // The sweeper deletes the room (and its sessions) with the game
+    const gameId =
+      resumed.room?.gameId ??
+      roomManager.getDeletedSessionGame(validation.sessionToken);
+    if (gameId && gameManager.wasExpired(gameId)) {
+      sendGameExpired(ws, gameId, null);
+      return;
+    }
+    safeSend(ws, {
+      type: "ERROR",
+      code: "RESUME_FAILED",
+      message: "That game is no longer available",
+    });
+    return;
+  }
+
+  socketLog(ws).info("Socket resumed game");
+  gameManager.touchGame(gameState.gameId);
+
+  sendRoomJoined(ws, resumed.room, {
+    playerIndex: resumed.playerIndex,
+    sessionToken: validation.sessionToken,
+  });
+
+  // A locked board must always have an unlock on the way,
+  // otherwise the resumed game would stay frozen
+  if (gameState.lockBoard && !gameManager.hasPendingUnlock(gameState.gameId)) {
+    gameManager.scheduleUnlock(
+      gameState.gameId,
+      getConfig().game.revealDelayMs,
+      handleTimerUpdate,
     );
+  }
+  gameManager.scheduleTurnLimit(gameState, handleTimerUpdate);
 
-    const extname = path.extname(filePath);
-    const contentTypeMap = {
-      ".html": "text/html",
-      ".css": "text/css",
-      ".js": "text/javascript",
-      ".json": "application/json",
-    };
-    const contentType = contentTypeMap[extname] || "text/plain";
-
-    fs.readFile(filePath, (err, content) => {
-      if (err) {
-        if (err.code === "ENOENT") {
-          res.writeHead(404, { "Content-Type": "text/plain" });
-          res.end("404 Not Found");
-        } else {
-          res.writeHead(500, { "Content-Type": "text/plain" });
-          res.end("500 Internal Server Error");
-        }
-      } else {
-        res.writeHead(200, { "Content-Type": contentType });
-        res.end(content, "utf-8");
-      }
+  // Everyone sees the player reconnect
+  broadcastGameState(gameState);
+}
+
+// ===== SPECTATE (watch a running game) =====
+function handleSpectate(ws, message) {
+  const validation = validateSpectate(message);
+
+  if (!validation.valid) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: VALIDATION_ERRORS.INVALID_VALUE,
+      message: validation.error,
     });
+    return;
+  }
+
+  const room = validation.roomCode
+    ? roomManager.getRoomByCode(validation.roomCode)
+    : roomManager.getRoom(validation.gameId);
+  const gameState = room ? gameManager.getGame(room.gameId) : null;
+
+  if (!gameState) {
+    if (validation.gameId && gameManager.wasExpired(validation.gameId)) {
+      sendGameExpired(ws, validation.gameId, null);
+      return;
+    }
+    safeSend(ws, {
+      type: "ERROR",
+      message: "Game not found",
+    });
+    return;
+  }
+
+  roomManager.spectateRoom(room, ws);
+  socketLog(ws).info("Socket is watching game");
+
+  safeSend(ws, {
+    type: "SPECTATING",
+    gameId: room.gameId,
+    roomCode: room.code,
   });
 
-  // ===== WEBSOCKET SERVER =====
-  const wss = new WebSocketServer({ server: httpServer });
+  // Everyone sees the new spectator count
+  broadcastGameState(gameState);
+}
 
-  wss.on("connection", (ws) => {
-    console.log("Client connected");
+// ===== STOP SPECTATING =====
+function handleStopSpectating(ws) {
+  const room = roomManager.getRoomForSocket(ws);
 
-    let currentGameId = null;
+  if (room && roomManager.isSpectator(room, ws)) {
+    roomManager.leaveRoom(ws);
+    const gameState = gameManager.getGame(room.gameId);
+    if (gameState) broadcastGameState(gameState);
+  }
+}
 
-    ws.on("message", (data) => {
-      try {
-        const message = JSON.parse(data);
-        console.log("Received:", message.type);
+// ===== RESYNC (client missed a patch) =====
+function handleResync(ws, message) {
+  const validation = validateResync(message);
+  const gameState = gameManager.getGame(validation.gameId);
 
-        // ===== NEW GAME =====
-        if (message.type === "NEW_GAME") {
-          const validation = validateNewGame(message);
+  if (!gameState) {
+    if (gameManager.wasExpired(validation.gameId)) {
+      sendGameExpired(ws, validation.gameId, null);
+    }
+    return;
+  }
 
-          if (!validation.valid) {
-            safeSend(ws, {
-              type: "ERROR",
-              message: validation.error,
-            });
-            return;
-          }
+  // Only sockets in the game (players or spectators) get its state
+  if (roomManager.getRoomForSocket(ws)?.gameId !== validation.gameId) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: "NOT_IN_GAME",
+      message: "You are not in this game",
+    });
+    return;
+  }
 
-          const gameState = gameManager.createGame(validation.playerCount);
-          currentGameId = gameState.gameId;
+  socketLog(ws).debug("Resyncing socket");
+  sendGameState(ws, gameState);
+}
 
-          console.log(
-            `New game created: ${currentGameId} with ${validation.playerCount} player(s)`,
-          );
+// ===== FLIP CARD =====
+function handleFlipCard(ws, message) {
+  const validation = validateFlipCard(message);
+  const { requestId } = validation;
 
-          sendGameState(ws, gameState);
-          return;
-        }
+  // A double click (or a resent message): answer as before, play nothing
+  const previousReply = recentReplies.get(ws)?.get(requestId);
+  if (previousReply) {
+    socketLog(ws).debug("Duplicate request, replaying the reply", {
+      requestId,
+      reply: previousReply.type,
+    });
+    safeSend(ws, { ...previousReply, duplicate: true });
+    return;
+  }
 
-        // ===== FLIP CARD =====
-        if (message.type === "FLIP_CARD") {
-          const validation = validateFlipCard(message);
+  const gameState = gameManager.getGame(validation.gameId);
 
-          if (!validation.valid) {
-            safeSend(ws, {
-              type: "ERROR",
-              message: validation.error,
-            });
-            return;
-          }
+  if (!gameState && gameManager.wasExpired(validation.gameId)) {
+    sendGameExpired(ws, validation.gameId, null);
+    return;
+  }
 
-          const gameState = gameManager.getGame(validation.gameId);
+  if (!gameState) {
+    rejectAction(ws, requestId, "GAME_NOT_FOUND", "Game not found");
+    return;
+  }
 
-          if (!gameState) {
-            safeSend(ws, {
-              type: "ERROR",
-              message: "Game not found",
-            });
-            return;
-          }
+  // Only the active player's own socket may play, proven by
+  // the secret token it got when creating or joining the game
+  const room = roomManager.getRoom(validation.gameId);
+  const denied = room
+    ? roomManager.authorizeMove(
+        room,
+        ws,
+        validation.sessionToken,
+        gameState.activePlayerIndex,
+      )
+    : { code: "NOT_IN_GAME", message: "You are not in this game" };
 
-          const result = applyMove(gameState, validation.cardId);
+  if (denied) {
+    rejectAction(ws, requestId, denied.code, denied.message);
+    return;
+  }
 
-          if (result.error) {
-            safeSend(ws, {
-              type: "ERROR",
-              message: result.error,
-            });
-            return;
+  const result = playMove(gameState, validation.cardId);
+
+  if (result.error) {
+    rejectAction(ws, requestId, "MOVE_FAILED", result.error);
+  } else if (result.ignored) {
+    rejectAction(
+      ws,
+      requestId,
+      result.reason,
+      IGNORED_MOVE_MESSAGES[result.reason] ?? "That move is not allowed",
+    );
+  } else {
+    acknowledge(ws, requestId, result.gameState.version);
+  }
+}
+
+// ===== GET HIGHSCORES =====
+function handleGetHighscores(ws, message) {
+  const validation = validateGetHighscores(message);
+
+  highscores
+    .getHighscores({
+      mode: validation.bucket,
+      playerCount: validation.playerCount,
+    })
+    .then((scores) => {
+      safeSend(ws, {
+        type: "HIGHSCORES",
+        mode: validation.mode ?? null,
+        playerCount: validation.playerCount ?? null,
+        scores,
+      });
+    })
+    .catch((err) => {
+      socketLog(ws).error("Failed to load highscores", { err });
+      safeSend(ws, {
+        type: "ERROR",
+        message: "Could not load highscores",
+      });
+    });
+}
+
+// ===== GET REPLAY =====
+function handleGetReplay(ws, message) {
+  const validation = validateGetReplay(message);
+  const gameState = gameManager.getGame(validation.gameId);
+
+  if (!gameState) {
+    if (gameManager.wasExpired(validation.gameId)) {
+      sendGameExpired(ws, validation.gameId, null);
+      return;
+    }
+    safeSend(ws, {
+      type: "ERROR",
+      message: "Game not found",
+    });
+    return;
+  }
+
+  const replay = getReplay(gameState);
+
+  if (!replay) {
+    safeSend(ws, {
+      type: "ERROR",
+      message: "Replays are available once the game is finished",
+      code: "REPLAY_UNAVAILABLE",
+    });
+    return;
+  }
+
+  safeSend(ws, { type: "REPLAY", replay });
+}
+
+// Handlers per message type. Each type has a schema in
+// utils/messageFormats.js that is checked before its handler runs.
+const messageHandlers = {
+  HELLO: handleHello,
+  NEW_GAME: handleNewGame,
+  CREATE_ROOM: handleCreateRoom,
+  JOIN_ROOM: handleJoinRoom,
+  RESUME: handleResume,
+  SPECTATE: handleSpectate,
+  STOP_SPECTATING: handleStopSpectating,
+  RESYNC: handleResync,
+  FLIP_CARD: handleFlipCard,
+  GET_HIGHSCORES: handleGetHighscores,
+  GET_REPLAY: handleGetReplay,
+};
+
+// Run the handler for a validated message (from a socket here, or one
+// on another worker that sent it on). Messages of a feature the server
+// config turns off are refused.
+function dispatchMessage(ws, message) {
+  if (!isMessageEnabled(message.type)) {
+    safeSend(ws, {
+      type: "ERROR",
+      code: "FEATURE_DISABLED",
+      messageType: message.type,
+      message: "This feature is turned off on this server",
+    });
+    return;
+  }
+
+  try {
+    messageHandlers[message.type](ws, message);
+  } catch (error) {
+    socketLog(ws).error("Error processing message", {
+      messageType: message.type,
+      err: error,
+    });
+    safeSend(ws, {
+      type: "ERROR",
+      code: "INTERNAL_ERROR",
+      message: "Could not process message",
+    });
+  }
+}
+
+// Take a socket out of its room. The seat stays reserved so the
+// player can RESUME; whoever is left sees them (or a spectator) go.
+function handleDisconnect(ws) {
+  const room = roomManager.leaveRoom(ws);
+  const gameState = room ? gameManager.getGame(room.gameId) : null;
+  if (gameState && room.sockets.size > 0) {
+    broadcastGameState(gameState);
+  }
+}
+
+/**
+ * Starts the HTTP and WebSocket server
+ * @param {number} port - Port to listen on
+ * @param {object} options - { storeBackend }: where games and rooms are
+ *   kept, one of STORE_BACKENDS ("memory", "json", "ndjson")
+ * @returns {object} { httpServer, wss }
+ */
+export default function createServer(
+  port = 8000,
+  { storeBackend = DEFAULT_STORE_BACKEND } = {},
+) {
+  // ===== STORAGE =====
+  // Cluster workers each keep their own games
+  const storeSuffix = workerLink.isClusterWorker
+    ? `-${workerLink.WORKER_INDEX}`
+    : "";
+  const gameStore = createStore(`games${storeSuffix}`, storeBackend);
+  const roomStore = workerLink.claimRoomsIn(
+    createStore(`rooms${storeSuffix}`, storeBackend),
+  );
+  gameManager.setStore(gameStore);
+  roomManager.setStore(roomStore);
+
+  // ===== REST API =====
+  const handleApiRequest = createApiHandler({
+    startGame,
+    playMove,
+    broadcastGameState,
+    getClientView,
+    countError,
+    startTurnsWhenSeated,
+    checkRate: (req, type) =>
+      rateLimiter.checkRequest(rateLimiter.getClientIp(req), type),
+  });
+
+  const serveStatic = createStaticHandler(path.join(__dirname, "../public"));
+
+  // False until the server listens and again while shutting down;
+  // /readyz reports it
+  let ready = false;
+  let shuttingDown = false;
+
+  // ===== HTTP SERVER (serves frontend and the REST API) =====
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    // ===== HEALTH AND METRICS =====
+    // The process is up (liveness)
+    if (url.pathname === "/healthz") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok" }));
+      return;
+    }
+
+    // The server accepts players (readiness)
+    if (url.pathname === "/readyz") {
+      res.writeHead(ready ? 200 : 503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: ready ? "ready" : "not ready" }));
+      return;
+    }
+
+    if (url.pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": PROMETHEUS_CONTENT_TYPE });
+      res.end(renderMetrics(wss));
+      return;
+    }
+
+    if (url.pathname.startsWith("/api/") && isFeatureEnabled("restApi")) {
+      // Games of other cluster workers are answered by their owner
+      workerLink
+        .routeApiRequest(req, res, url)
+        .then((routed) => {
+          if (!routed) return handleApiRequest(req, res, url);
+        })
+        .catch((err) => {
+          log.error("Failed to answer API request", { path: url.pathname, err });
+          if (!res.headersSent) {
+            res.writeHead(500, { "Content-Type": "application/json" });
           }
+          res.end();
+        });
+      return;
+    }
 
-          gameManager.updateGame(validation.gameId, result.gameState);
+    serveStatic(req, res, url).catch((err) => {
+      log.error("Failed to serve static file", { path: url.pathname, err });
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+      }
+      res.end();
+    });
+  });
+
+  // ===== GAME EXPIRY =====
+  // Tell everyone still in an expired game, then drop its room
+  gameManager.onGameExpired((gameId, reason) => {
+    log.info("Game removed", { gameId, reason });
+
+    const room = roomManager.getRoom(gameId);
+    if (room) {
+      room.sockets.forEach((client) => sendGameExpired(client, gameId, reason));
+      roomManager.deleteRoom(gameId);
+    }
+    botManager.forgetGame(gameId);
+    lastBroadcasts.delete(gameId);
+  });
+
+  const stopSweeper = gameManager.startSweeper();
+  httpServer.on("close", stopSweeper);
+
+  // ===== WEBSOCKET SERVER =====
+  const wss = new WebSocketServer({
+    server: httpServer,
+    maxPayload: MAX_FRAME_BYTES,
+  });
 
-          sendGameState(ws, result.gameState);
+  // Sockets that answered the last ping (ws -> boolean). Every socket
+  // is pinged each timeouts.heartbeatMs; one that hasn't answered the
+  // previous ping by the next one is dropped
+  const alive = new WeakMap();
 
-          // Delay unlock if needed
-          if (result.needsDelayAction) {
-            setTimeout(() => {
-              const currentState = gameManager.getGame(validation.gameId);
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!alive.get(ws)) {
+        socketLog(ws).info("Dropping unresponsive client");
+        ws.terminate();
+        return;
+      }
+      alive.set(ws, false);
+      ws.ping();
+    });
+  }, getConfig().timeouts.heartbeatMs);
+  heartbeat.unref?.();
+
+  const stopRateSweeper = rateLimiter.startSweeper();
+  httpServer.on("close", () => {
+    clearInterval(heartbeat);
+    stopRateSweeper();
+  });
 
-              if (currentState) {
-                const unlockedState = unlockBoard(currentState);
-                gameManager.updateGame(validation.gameId, unlockedState);
-                sendGameState(ws, unlockedState);
-              }
-            }, result.delayMs);
+  wss.on("connection", (ws, req) => {
+    // Upgrades that were already on their way when shutdown started
+    if (shuttingDown) {
+      ws.close(1012, "Server restarting");
+      return;
+    }
+
+    const ip = rateLimiter.getClientIp(req);
+
+    // 1008: Policy Violation
+    if (!rateLimiter.checkConnection(ip)) {
+      log.warn("Refusing connection: too many connections", { ip });
+      ws.close(1008, "Too many connections");
+      return;
+    }
+
+    nameSocket(ws);
+    socketLog(ws).debug("Client connected", { ip });
+
+    alive.set(ws, true);
+    ws.on("pong", () => alive.set(ws, true));
+
+    ws.on("message", (data) => {
+      // Frames still arriving from a socket we are closing (e.g. one
+      // disconnected for flooding) are not worth reading
+      if (ws.readyState !== 1) return;
+
+      try {
+        // Unknown types, unknown fields, bad types and oversized
+        // frames are all turned away here with a specific code
+        const parsed = parseMessage(data);
+        const type = parsed.valid ? parsed.message.type : "invalid";
+        increment(messageCounts, type);
+
+        const limit = rateLimiter.checkMessage(ws, ip, type);
+        if (!limit.allowed) {
+          sendRateLimited(ws, parsed.message, type, limit.retryAfterMs);
+          if (limit.disconnect) {
+            socketLog(ws).warn("Disconnecting: rate limited too often", {
+              ip,
+            });
+            ws.close(1008, "Rate limit exceeded");
           }
+          return;
+        }
 
+        // Clients must say which protocol they speak before anything
+        // else. Checked ahead of the other fields, so an old client is
+        // told to reload rather than shown a validation error.
+        const messageType = parsed.valid
+          ? parsed.message.type
+          : parsed.messageType;
+        if (
+          messageType !== undefined &&
+          messageType !== "HELLO" &&
+          !handshakes.has(ws)
+        ) {
+          refuseClient(ws);
           return;
         }
 
-        // ===== UNKNOWN MESSAGE =====
-        safeSend(ws, {
-          type: "ERROR",
-          message: `Unknown message type: ${message.type}`,
+        if (!parsed.valid) {
+          safeSend(ws, {
+            type: "ERROR",
+            code: parsed.code,
+            field: parsed.field,
+            message: parsed.error,
+          });
+          return;
+        }
+
+        socketLog(ws).debug("Received message", {
+          messageType: parsed.message.type,
         });
+        if (workerLink.routeMessage(ws, parsed.message, handshakes.get(ws))) {
+          return;
+        }
+        dispatchMessage(ws, parsed.message);
       } catch (error) {
-        console.error("❌ Error processing message:", error);
+        socketLog(ws).error("Error processing message", { err: error });
         safeSend(ws, {
           type: "ERROR",
-          message: "Invalid message format",
+          code: "INTERNAL_ERROR",
+          message: "Could not process message",
         });
       }
     });
 
     ws.on("close", () => {
-      console.log("Client disconnected");
+      socketLog(ws).debug("Client disconnected");
+      workerLink.forgetSocket(ws);
+      handleDisconnect(ws);
     });
 
     ws.on("error", (error) => {
-      console.error("❌ WebSocket error:", error);
+      socketLog(ws).error("WebSocket error", { err: error });
     });
   });
 
-  // ===== START SERVER =====
-  httpServer.listen(port, () => {
-    console.log(`Server running on port ${port}`);
+  // ===== CLUSTER =====
+  // When running as a cluster worker, take messages and REST requests
+  // for our games from sockets connected to the other workers
+  workerLink.startWorker({
+    dispatch: dispatchMessage,
+    adoptSocket: (ws, handshake) => {
+      nameSocket(ws);
+      handshakes.set(ws, handshake);
+    },
+    disconnect: handleDisconnect,
+    leaveRoom: handleDisconnect,
+    handleApiRequest,
   });
 
+  // ===== GRACEFUL SHUTDOWN =====
+  // Stop taking players, let everyone know, and make sure the stores
+  // have written everything so resume tokens still work after the restart
+  async function shutdown(reason, exitCode = 0) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    ready = false;
+    log.info("Shutting down", { reason });
+
+    // Whatever happens below, don't hang around forever
+    setTimeout(
+      () => process.exit(exitCode),
+      getConfig().timeouts.shutdownMs,
+    ).unref();
+
+    httpServer.close();
+
+    // Mismatched cards go back face down now instead of being saved locked
+    gameManager.flushUnlocks().forEach(broadcastGameState);
+    gameManager.clearAllTimers();
+
+    // Including players of our games connected to other workers
+    [...wss.clients, ...workerLink.getRemoteSockets()].forEach((client) => {
+      safeSend(client, {
+        type: "SERVER_RESTARTING",
+        message: "The server is restarting, you will be reconnected shortly",
+      });
+      // 1012: Service Restart
+      client.close(1012, "Server restarting");
+    });
+
+    await Promise.all([
+      gameStore.flush(),
+      roomStore.flush(),
+      highscores.flushHighscores(),
+    ]);
+    process.exit(exitCode);
+  }
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
+  // A rejected promise is a bug in one request, not a broken server
+  process.on("unhandledRejection", (reason) => {
+    log.error("Unhandled rejection", { err: reason });
+  });
+
+  // After an uncaught exception the process may be inconsistent:
+  // save what we can and let the supervisor restart it
+  process.on("uncaughtException", (err) => {
+    log.error("Uncaught exception", { err });
+    shutdown("uncaughtException", 1);
+  });
+
+  // ===== START SERVER =====
+  // Bring back the games the stores kept, then open up
+  Promise.all([gameStore.load(), roomStore.load()])
+    .then(() => {
+      // A room is only worth keeping while its game is
+      roomManager
+        .loadRooms()
+        .filter((room) => !gameManager.getGame(room.gameId))
+        .forEach((room) => roomManager.deleteRoom(room.gameId));
+
+      const restored = gameManager.listGames();
+      restored.forEach(restoreGameTimers);
+      if (restored.length > 0) {
+        log.info("Restored games", { games: restored.length });
+      }
+    })
+    .catch((err) => {
+      log.error("Failed to restore games", { err });
+    })
+    .finally(() => {
+      httpServer.listen(port, () => {
+        ready = true;
+        log.info("Server running", { port });
+      });
+    });
+
   return { httpServer, wss };
 }
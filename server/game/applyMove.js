@@ -1,48 +1,82 @@
-const DEFAULT_REVEAL_DELAY_MS = 800;
+import { isTimeUp } from "./gameClock.js";
+import { getConfig } from "../config.js";
+
+// Client-facing explanations for each reason a move is ignored
+export const IGNORED_MOVE_MESSAGES = {
+  GAME_OVER: "This game is already over",
+  BOARD_LOCKED: "Wait for the cards to turn back",
+  UNKNOWN_CARD: "That card is not on this board",
+  CARD_MATCHED: "That card is already matched",
+  CARD_FACE_UP: "That card is already face up",
+  TURN_FULL: "Two cards are already face up",
+};
 
 export default function applyMove(
   gameState,
   cardId,
-  revealDelayMs = DEFAULT_REVEAL_DELAY_MS,
+  // How long a mismatched pair stays face up
+  revealDelayMs = getConfig().game.revealDelayMs,
 ) {
-  // ===== VALIDATION (silent ignores) =====
+  // ===== VALIDATION (ignored moves, with the reason why) =====
 
   if (gameState.status !== "playing") {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "GAME_OVER", gameState };
+  }
+
+  // A move that arrives after the time limit ends the game instead
+  const now = Date.now();
+  if (isTimeUp(gameState, now)) {
+    return { gameState: loseOnTime(gameState, now), needsDelayAction: false };
   }
 
   // If board is locked (waiting to flip back), ignore clicks
   if (gameState.lockBoard) {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "BOARD_LOCKED", gameState };
   }
 
   const clickedCard = gameState.cards.find((card) => card.id === cardId);
   if (!clickedCard) {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "UNKNOWN_CARD", gameState };
   }
 
   if (clickedCard.isMatched) {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "CARD_MATCHED", gameState };
   }
 
   if (gameState.flippedCardIds.includes(cardId)) {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "CARD_FACE_UP", gameState };
   }
 
   if (gameState.flippedCardIds.length >= 2) {
-    return { ignored: true, gameState };
+    return { ignored: true, reason: "TURN_FULL", gameState };
   }
 
   // ===== FLIP THE CARD (IMMUTABLY) =====
 
   const updatedFlippedCardIds = [...gameState.flippedCardIds, cardId];
 
+  // The game clock (and the first turn) start with the first flip
+  const startedAt = gameState.startedAt ?? now;
+  const turnStartedAt = gameState.turnStartedAt ?? now;
+
+  const flipEvent = {
+    type: "flip",
+    at: now,
+    playerIndex: gameState.activePlayerIndex,
+    cardId,
+    value: clickedCard.value,
+  };
+
   // If only 1 card is flipped, nothing more to do
   if (updatedFlippedCardIds.length === 1) {
     return {
       gameState: {
         ...gameState,
+        version: gameState.version + 1,
         flippedCardIds: updatedFlippedCardIds,
+        startedAt,
+        turnStartedAt,
+        history: logEvents(gameState, flipEvent),
       },
       needsDelayAction: false,
     };
@@ -51,6 +85,7 @@ export default function applyMove(
   // ===== TWO CARDS FLIPPED: CHECK MATCH =====
 
   const [firstId, secondId] = updatedFlippedCardIds;
+  const moves = (gameState.moves ?? 0) + 1;
   const firstCard = gameState.cards.find((card) => card.id === firstId);
   const secondCard = gameState.cards.find((card) => card.id === secondId);
 
@@ -59,6 +94,7 @@ export default function applyMove(
     return {
       gameState: {
         ...gameState,
+        version: gameState.version + 1,
         flippedCardIds: [],
         lockBoard: false,
       },
@@ -88,14 +124,40 @@ export default function applyMove(
     const allMatched = updatedCards.every((card) => card.isMatched);
     const newStatus = allMatched ? "won" : "playing";
 
+    const matchEvent = {
+      type: "match",
+      at: now,
+      playerIndex: gameState.activePlayerIndex,
+      cardIds: [firstId, secondId],
+      value: firstCard.value,
+    };
+    const history = allMatched
+      ? logEvents(gameState, flipEvent, matchEvent, {
+          type: "win",
+          at: now,
+          playerIndex: gameState.activePlayerIndex,
+          scores: updatedPlayers.map((p) => p.score),
+        })
+      : logEvents(gameState, flipEvent, matchEvent);
+
     return {
       gameState: {
         ...gameState,
+        version: gameState.version + 1,
         cards: updatedCards,
         players: updatedPlayers,
         flippedCardIds: [],
         lockBoard: false,
         status: newStatus,
+        moves,
+        startedAt,
+        turnStartedAt,
+        finishedAt: allMatched ? now : null,
+        // The winning turn is the last one
+        turnDurations: allMatched
+          ? endTurn(gameState, turnStartedAt, now)
+          : gameState.turnDurations,
+        history,
         // activePlayerIndex stays the same (player keeps the turn)
       },
       needsDelayAction: false,
@@ -109,8 +171,18 @@ export default function applyMove(
   return {
     gameState: {
       ...gameState,
+      version: gameState.version + 1,
       flippedCardIds: updatedFlippedCardIds,
       lockBoard: true,
+      moves,
+      startedAt,
+      turnStartedAt,
+      history: logEvents(gameState, flipEvent, {
+        type: "mismatch",
+        at: now,
+        playerIndex: gameState.activePlayerIndex,
+        cardIds: [firstId, secondId],
+      }),
     },
     needsDelayAction: true,
     delayMs: revealDelayMs,
@@ -121,16 +193,99 @@ export default function applyMove(
  * Unlocks the board and clears flipped cards after a mismatch delay
  * Advances to the next player
  * @param {object} gameState - Current game state
+ * @param {string} reason - Why the turn ends: "mismatch" or "timeout"
  * @returns {object} Updated game state with board unlocked
  */
-export function unlockBoard(gameState) {
+export function unlockBoard(gameState, reason = "mismatch") {
   const nextPlayerIndex =
     (gameState.activePlayerIndex + 1) % gameState.players.length;
+  const now = Date.now();
 
   return {
     ...gameState,
+    version: gameState.version + 1,
     flippedCardIds: [],
     lockBoard: false,
     activePlayerIndex: nextPlayerIndex,
+    turnDurations: endTurn(gameState, gameState.turnStartedAt, now),
+    turnStartedAt: now,
+    history: logEvents(gameState, {
+      type: "turn",
+      at: now,
+      playerIndex: gameState.activePlayerIndex,
+      nextPlayerIndex,
+      reason,
+      // Cards that go back face down (none after a timeout with no flip)
+      hiddenCardIds: gameState.flippedCardIds,
+    }),
+  };
+}
+
+/**
+ * Starts the first turn's clock in a game with a turn limit
+ * Later turns start in unlockBoard. Call it once every seat is taken,
+ * so the first player can't hold up the table by never flipping.
+ * @param {object} gameState - Current game state
+ * @param {number} now - Current time
+ * @returns {object} Game state with turnStartedAt set (or unchanged)
+ */
+export function startFirstTurn(gameState, now = Date.now()) {
+  if (
+    !gameState.turnLimitMs ||
+    gameState.turnStartedAt ||
+    gameState.status !== "playing"
+  ) {
+    return gameState;
+  }
+
+  return {
+    ...gameState,
+    version: gameState.version + 1,
+    turnStartedAt: now,
   };
+}
+
+/**
+ * Ends a "beat the clock" game that ran out of time
+ * @param {object} gameState - Current game state
+ * @param {number} now - Current time
+ * @returns {object} Game state with status "lost"
+ */
+export function loseOnTime(gameState, now = Date.now()) {
+  if (gameState.status !== "playing") return gameState;
+
+  return {
+    ...gameState,
+    version: gameState.version + 1,
+    status: "lost",
+    flippedCardIds: [],
+    lockBoard: false,
+    finishedAt: gameState.startedAt + gameState.timeLimitMs,
+    turnDurations: endTurn(gameState, gameState.turnStartedAt, now),
+    history: logEvents(gameState, {
+      type: "lost",
+      at: now,
+      playerIndex: gameState.activePlayerIndex,
+      hiddenCardIds: gameState.flippedCardIds,
+    }),
+  };
+}
+
+// Append events to the game's history (never edits earlier entries)
+function logEvents(gameState, ...events) {
+  return [...(gameState.history ?? []), ...events];
+}
+
+// Append the active player's finished turn to the turn log
+function endTurn(gameState, turnStartedAt, now) {
+  const turnDurations = gameState.turnDurations ?? [];
+  if (!turnStartedAt) return turnDurations;
+
+  return [
+    ...turnDurations,
+    {
+      playerIndex: gameState.activePlayerIndex,
+      durationMs: now - turnStartedAt,
+    },
+  ];
 }
\ No newline at end of file
@@ -1,26 +1,87 @@
 import { nanoid } from "nanoid";
 import shuffle from "./shuffle.js";
+import { getConfig } from "../config.js";
 
-export default function createGameState(playerCount = 1) {
-  if (playerCount < 1 || playerCount > 4) {
-    throw new Error("Player count must be between 1 and 4");
+// Board presets, grid limits, player counts, colors and card values
+// all come from the server config (see server/config.js)
+
+/**
+ * Checks whether a board of rows x cols can be played
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {string|null} Error message, or null when the board is valid
+ */
+export function getBoardSizeError(rows, cols) {
+  const { minSize, maxSize } = getConfig().board;
+
+  if (!Number.isInteger(rows) || !Number.isInteger(cols)) {
+    return "rows and cols must be whole numbers";
+  }
+
+  if (rows < minSize || cols < minSize) {
+    return `Board must be at least ${minSize}x${minSize}`;
+  }
+
+  if (rows > maxSize || cols > maxSize) {
+    return `Board cannot be larger than ${maxSize}x${maxSize}`;
+  }
+
+  if ((rows * cols) % 2 !== 0) {
+    return "Board must have an even number of cards";
+  }
+
+  return null;
+}
+
+/**
+ * Creates a fresh game
+ * @param {number} playerCount - Number of players (game.minPlayers-maxPlayers)
+ * @param {object} options - { difficulty } or { rows, cols }, plus optional
+ *   `seed` (reproducible shuffle), `dailyDate` (Daily Challenge day),
+ *   `timeLimitMs` (the game is lost when it runs out), `turnLimitMs`
+ *   (the turn passes to the next player when it runs out) and `bots`
+ *   (bot difficulty per player slot, null for humans)
+ * @returns {object} Full server game state
+ */
+export default function createGameState(playerCount = 1, options = {}) {
+  const { game, board } = getConfig();
+
+  if (playerCount < game.minPlayers || playerCount > game.maxPlayers) {
+    throw new Error(
+      `Player count must be between ${game.minPlayers} and ${game.maxPlayers}`,
+    );
   }
 
-  // Player colors (pastel hex for the board/frame)
-  const colors = ["red", "yellow", "blue", "green"];
+  // Either a named difficulty or an explicit rows/cols pair
+  const difficulty = options.rows
+    ? null
+    : (options.difficulty ?? board.defaultDifficulty);
+
+  if (difficulty && !board.difficulties[difficulty]) {
+    throw new Error(`Unknown difficulty: ${difficulty}`);
+  }
+
+  const { rows, cols } = difficulty ? board.difficulties[difficulty] : options;
+
+  const boardError = getBoardSizeError(rows, cols);
+  if (boardError) {
+    throw new Error(boardError);
+  }
 
   // Create players
   const players = [];
   for (let i = 0; i < playerCount; i++) {
     players.push({
       id: nanoid(8),
-      color: colors[i],
+      color: game.playerColors[i],
       score: 0,
+      bot: options.bots?.[i] ?? null, // Bot difficulty, null for humans
     });
   }
 
-  // Card values (A-H = 8 pairs = 16 cards for 4x4 grid)
-  const cardValues = ["A", "B", "C", "D", "E", "F", "G", "H"];
+  // Card values: the first one per pair (A, B, C, ... by default)
+  const pairCount = (rows * cols) / 2;
+  const cardValues = game.cardValues.slice(0, pairCount);
 
   // Create card pairs
   const cards = [];
@@ -39,8 +100,10 @@ export default function createGameState(playerCount = 1) {
     });
   });
 
-  // Shuffle the cards
-  const shuffledCards = shuffle(cards);
+  // Shuffle the cards. Every game gets a seed so any board can be
+  // recreated later (bug reports, same board for two groups).
+  const seed = options.seed ?? nanoid(10);
+  const shuffledCards = shuffle(cards, seed);
 
   // Return complete game state
   return {
@@ -50,6 +113,21 @@ export default function createGameState(playerCount = 1) {
     activePlayerIndex: 0, // First player starts
     flippedCardIds: [],
     lockBoard: false,
-    status: "playing", // 'playing' or 'won'
+    status: "playing", // 'playing', 'won' or 'lost' (time ran out)
+    moves: 0, // Number of completed turns (two cards flipped)
+    version: 0, // Bumped by every change, so clients can spot stale states
+    createdAt: Date.now(),
+    startedAt: null, // Set by the first flip
+    finishedAt: null,
+    turnStartedAt: null,
+    turnDurations: [], // { playerIndex, durationMs } per finished turn
+    history: [], // Append-only event log: { type, at, playerIndex, ... }
+    timeLimitMs: options.timeLimitMs ?? null, // "beat the clock" mode
+    turnLimitMs: options.turnLimitMs ?? null, // turn passes when it runs out
+    rows,
+    cols,
+    difficulty, // preset name, or null for a custom grid
+    seed,
+    dailyDate: options.dailyDate ?? null, // "YYYY-MM-DD" for Daily Challenges
   };
 }
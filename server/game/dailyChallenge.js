@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createHash, randomBytes } from "crypto";
+import { getConfig } from "../config.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Made once and kept, so restarts and every cluster worker deal the
+// same board all day
+const SECRET_FILE = path.join(__dirname, "../../data/daily-secret");
+
+let storedSecret = null;
+
+// The kept secret, made on first use
+function readStoredSecret() {
+  try {
+    return fs.readFileSync(SECRET_FILE, "utf-8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const secret = randomBytes(16).toString("hex");
+  fs.mkdirSync(path.dirname(SECRET_FILE), { recursive: true });
+  fs.writeFileSync(SECRET_FILE, secret, "utf-8");
+  return secret;
+}
+
+/**
+ * The secret mixed into every Daily Challenge seed
+ * Without it the seed could be worked out from the date and every
+ * hidden card rebuilt from it. game.dailySecret when set, otherwise
+ * the one kept in data/daily-secret.
+ * @returns {string} The secret
+ */
+export function getDailySecret() {
+  const configured = getConfig().game.dailySecret;
+  if (configured) return configured;
+
+  storedSecret ??= readStoredSecret();
+  return storedSecret;
+}
+
+/**
+ * Returns today's Daily Challenge (UTC date)
+ * Everyone playing on the same date gets the same seed and board.
+ * @param {Date} date - Day to get the challenge for
+ * @returns {object} { date: "YYYY-MM-DD", seed: string, difficulty: string }
+ */
+export default function getDailyChallenge(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  const hash = createHash("sha256")
+    .update(`${getDailySecret()}:${day}`)
+    .digest("base64url");
+
+  return {
+    date: day,
+    seed: `daily-${hash.slice(0, 16)}`,
+    // Every Daily Challenge is played on this board size
+    difficulty: getConfig().board.dailyDifficulty,
+  };
+}
@@ -0,0 +1,63 @@
+// Time helpers for game state. The clock starts with the first flip,
+// so waiting for players to join an online room doesn't count. A turn
+// limit runs from the moment every seat is taken (see startFirstTurn).
+
+/**
+ * Time played so far
+ * @param {object} gameState - Full server game state
+ * @param {number} now - Current time
+ * @returns {number} Milliseconds since the first flip (0 before it)
+ */
+export function getElapsedMs(gameState, now = Date.now()) {
+  if (!gameState.startedAt) return 0;
+  return (gameState.finishedAt ?? now) - gameState.startedAt;
+}
+
+/**
+ * Time left in a "beat the clock" game
+ * @param {object} gameState - Full server game state
+ * @param {number} now - Current time
+ * @returns {number|null} Milliseconds left, or null without a time limit
+ */
+export function getRemainingMs(gameState, now = Date.now()) {
+  if (!gameState.timeLimitMs) return null;
+  return Math.max(0, gameState.timeLimitMs - getElapsedMs(gameState, now));
+}
+
+/**
+ * Time left in the active player's turn
+ * @param {object} gameState - Full server game state
+ * @param {number} now - Current time
+ * @returns {number|null} Milliseconds left, or null without a turn limit
+ *   (or while seats are still free)
+ */
+export function getTurnRemainingMs(gameState, now = Date.now()) {
+  if (!gameState.turnLimitMs || !gameState.turnStartedAt) return null;
+  return Math.max(0, gameState.turnLimitMs - (now - gameState.turnStartedAt));
+}
+
+// Whether a timed game has run out of time
+export function isTimeUp(gameState, now = Date.now()) {
+  return getRemainingMs(gameState, now) === 0;
+}
+
+/**
+ * Time fields shared by both sanitizers
+ * @param {object} gameState - Full server game state
+ * @param {number} now - Current time
+ * @returns {object} Timing info safe to send to clients
+ */
+export function getTimingInfo(gameState, now = Date.now()) {
+  return {
+    startedAt: gameState.startedAt,
+    finishedAt: gameState.finishedAt,
+    elapsedMs: getElapsedMs(gameState, now),
+    turnStartedAt: gameState.turnStartedAt,
+    turnElapsedMs: gameState.turnStartedAt ? now - gameState.turnStartedAt : 0,
+    turnDurations: gameState.turnDurations,
+    timeLimitMs: gameState.timeLimitMs,
+    remainingMs: getRemainingMs(gameState, now),
+    turnLimitMs: gameState.turnLimitMs,
+    turnRemainingMs: getTurnRemainingMs(gameState, now),
+  };
+}
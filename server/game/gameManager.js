@@ -1,31 +1,404 @@
 import createGameState from "./createGameState.js";
+import { unlockBoard, loseOnTime } from "./applyMove.js";
+import { getRemainingMs, getTurnRemainingMs } from "./gameClock.js";
+import createMemoryStore from "../storage/createMemoryStore.js";
+import { createLogger } from "../logger.js";
+import { getConfig } from "../config.js";
 
-// Stores all active games: gameId -> gameState
-const games = new Map();
+const log = createLogger({ module: "games" });
+
+// How often the sweeper looks for expired games
+export const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Remember this many expired ids to tell "expired" from "never existed"
+const MAX_EXPIRED_IDS = 1000;
+
+// Stores all active games: gameId -> gameState. Each entry's deadline
+// is when the sweeper removes it: timeouts.idleGameMs after the last
+// move or resume, timeouts.finishedGameMs after the game ended (so
+// players can still see the result).
+let store = createMemoryStore();
+
+// Recently removed games: gameId -> reason
+const expiredGames = new Map();
+
+// Pending timers (mismatch unlock, time limit, turn limit, bot move):
+// gameId -> Map(name -> { timer, at })
+const gameTimers = new Map();
+
+// Called with (gameId, reason) whenever a game expires or is evicted
+let expiryHandler = null;
+
+// Games that ended (won or lost) since the server started, for /metrics
+const finishedGames = { count: 0, totalDurationMs: 0 };
+
+/**
+ * Keeps the games in another store (see server/storage/)
+ * Call it before the first game is created.
+ * @param {object} newStore - A store from createStore
+ */
+export function setStore(newStore) {
+  store = newStore;
+}
+
+function saveGame(gameId, gameState) {
+  const { idleGameMs, finishedGameMs } = getConfig().timeouts;
+  const ttlMs =
+    gameState.status === "playing"
+      ? idleGameMs
+      : Math.max(
+          0,
+          (gameState.finishedAt ?? Date.now()) + finishedGameMs - Date.now(),
+        );
+  store.set(gameId, gameState, ttlMs);
+}
 
 // Create and store a new game
-export function createGame(playerCount = 1) {
-  const gameState = createGameState(playerCount);
-  games.set(gameState.gameId, gameState);
+// `options` is either { difficulty } or { rows, cols }
+export function createGame(playerCount = 1, options = {}) {
+  // Make room first so the cap on games held (game.maxGames) is never
+  // exceeded
+  while (store.list().length >= getConfig().game.maxGames) {
+    evictOneGame();
+  }
+
+  const gameState = createGameState(playerCount, options);
+  saveGame(gameState.gameId, gameState);
   return gameState;
 }
 
 // Get an existing game by id
 export function getGame(gameId) {
-  return games.get(gameId) ?? null;
+  return store.get(gameId);
+}
+
+// All stored games (e.g. to re-arm their timers after a restart)
+export function listGames() {
+  return store.list().map(({ value }) => value);
 }
 
 // Update an existing game's state
 export function updateGame(gameId, newState) {
-  games.set(gameId, newState);
+  const previous = store.get(gameId);
+  if (previous?.status === "playing" && newState.status !== "playing") {
+    recordFinishedGame(newState);
+  }
+
+  saveGame(gameId, newState);
+}
+
+function recordFinishedGame(gameState) {
+  if (!gameState.startedAt || !gameState.finishedAt) return;
+
+  finishedGames.count++;
+  finishedGames.totalDurationMs += gameState.finishedAt - gameState.startedAt;
+}
+
+// Mark a game as in use without changing it (e.g. a player resumed)
+// (finished games keep their deadline)
+export function touchGame(gameId) {
+  if (store.get(gameId)?.status === "playing") {
+    store.expire(gameId, getConfig().timeouts.idleGameMs);
+  }
 }
 
 // Remove a game (e.g. when finished or reset)
 export function deleteGame(gameId) {
-  return games.delete(gameId);
+  clearGameTimers(gameId);
+  return store.delete(gameId);
+}
+
+// Whether a game id belonged to a game that has since expired
+export function wasExpired(gameId) {
+  return expiredGames.has(gameId);
+}
+
+/**
+ * Registers the function told about expired or evicted games
+ * @param {function} handler - Called with (gameId, reason)
+ */
+export function onGameExpired(handler) {
+  expiryHandler = handler;
+}
+
+function expireGame(gameId, reason) {
+  deleteGame(gameId);
+
+  expiredGames.set(gameId, reason);
+  if (expiredGames.size > MAX_EXPIRED_IDS) {
+    // Maps keep insertion order, so the first key is the oldest
+    expiredGames.delete(expiredGames.keys().next().value);
+  }
+
+  if (expiryHandler) {
+    expiryHandler(gameId, reason);
+  }
+}
+
+// Evict the game closest to its deadline, preferring finished ones
+function evictOneGame() {
+  let victim = null;
+  for (const { key: gameId, value: gameState, expiresAt } of store.list()) {
+    const candidate = {
+      gameId,
+      finished: gameState.status !== "playing",
+      at: expiresAt ?? Infinity,
+    };
+    if (
+      !victim ||
+      (candidate.finished && !victim.finished) ||
+      (candidate.finished === victim.finished && candidate.at < victim.at)
+    ) {
+      victim = candidate;
+    }
+  }
+
+  if (victim) {
+    expireGame(victim.gameId, "evicted");
+  }
+}
+
+/**
+ * Removes idle games and finished games past their TTL
+ * @param {number} now - Current time (for tests)
+ * @returns {number} How many games were removed
+ */
+export function sweepGames(now = Date.now()) {
+  const expired = store
+    .list()
+    .filter(({ expiresAt }) => expiresAt !== null && expiresAt <= now);
+
+  expired.forEach(({ key: gameId, value: gameState }) => {
+    expireGame(gameId, gameState.status === "playing" ? "idle" : "finished");
+  });
+
+  return expired.length;
+}
+
+/**
+ * Runs sweepGames on an interval
+ * @returns {function} Stops the sweeper
+ */
+export function startSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => sweepGames(), intervalMs);
+  // Don't keep the process alive just for the sweeper
+  timer.unref?.();
+  return () => clearInterval(timer);
 }
 
 // Debug helper
 export function getGameCount() {
-  return games.size;
-}
\ No newline at end of file
+  return store.list().length;
+}
+
+/**
+ * Numbers for the /metrics endpoint
+ * @returns {object} { games, finishedGames, finishedDurationMs, pendingTimers }
+ *   where pendingTimers counts games per timer name (e.g. "unlock")
+ */
+export function getStats() {
+  const pendingTimers = { unlock: 0, timeLimit: 0, turnLimit: 0, botMove: 0 };
+  gameTimers.forEach((timers) => {
+    timers.forEach((pending, name) => {
+      pendingTimers[name] = (pendingTimers[name] ?? 0) + 1;
+    });
+  });
+
+  return {
+    games: store.list().length,
+    finishedGames: finishedGames.count,
+    finishedDurationMs: finishedGames.totalDurationMs,
+    pendingTimers,
+  };
+}
+
+// Set a named timer for a game, replacing one with the same name.
+// `key` optionally records what the timer was armed for.
+function setGameTimer(gameId, name, delayMs, callback, key = null) {
+  clearGameTimer(gameId, name);
+
+  const timers = gameTimers.get(gameId) ?? new Map();
+  const timer = setTimeout(() => {
+    timers.delete(name);
+    callback();
+  }, delayMs);
+
+  timers.set(name, { timer, at: Date.now() + delayMs, key });
+  gameTimers.set(gameId, timers);
+}
+
+function clearGameTimer(gameId, name) {
+  const pending = gameTimers.get(gameId)?.get(name);
+  if (!pending) return false;
+
+  clearTimeout(pending.timer);
+  return gameTimers.get(gameId).delete(name);
+}
+
+// Stop every pending timer of a game (e.g. when it is removed)
+function clearGameTimers(gameId) {
+  gameTimers.get(gameId)?.forEach((pending) => clearTimeout(pending.timer));
+  gameTimers.delete(gameId);
+}
+
+/**
+ * Flips the mismatched cards back after a delay
+ * @param {string} gameId - Game with a locked board
+ * @param {number} delayMs - How long the cards stay visible
+ * @param {function} onUnlocked - Called with the unlocked state
+ */
+export function scheduleUnlock(gameId, delayMs, onUnlocked) {
+  setGameTimer(gameId, "unlock", delayMs, () => {
+    const currentState = getGame(gameId);
+    if (!currentState || currentState.status !== "playing") return;
+
+    const unlockedState = unlockBoard(currentState);
+    updateGame(gameId, unlockedState);
+    onUnlocked(unlockedState);
+  });
+}
+
+// Whether a mismatch unlock is waiting to run for this game
+export function hasPendingUnlock(gameId) {
+  return gameTimers.get(gameId)?.has("unlock") ?? false;
+}
+
+// Stop a pending unlock
+export function cancelUnlock(gameId) {
+  return clearGameTimer(gameId, "unlock");
+}
+
+/**
+ * Runs every pending mismatch unlock right away (used on shutdown,
+ * so no game is saved with its board locked)
+ * @returns {object[]} The unlocked states
+ */
+export function flushUnlocks() {
+  const unlocked = [];
+
+  for (const gameId of [...gameTimers.keys()]) {
+    if (!cancelUnlock(gameId)) continue;
+
+    const currentState = getGame(gameId);
+    if (!currentState || currentState.status !== "playing") continue;
+
+    const unlockedState = unlockBoard(currentState);
+    updateGame(gameId, unlockedState);
+    unlocked.push(unlockedState);
+  }
+
+  return unlocked;
+}
+
+// Stop every timer of every game (the server is going down)
+export function clearAllTimers() {
+  [...gameTimers.keys()].forEach(clearGameTimers);
+}
+
+/**
+ * Ends a "beat the clock" game when its time runs out
+ * Does nothing for untimed games or before the clock has started.
+ * @param {object} gameState - Current game state
+ * @param {function} onLost - Called with the lost state
+ */
+export function scheduleTimeLimit(gameState, onLost) {
+  const { gameId } = gameState;
+  if (!gameState.timeLimitMs || !gameState.startedAt) return;
+  if (gameTimers.get(gameId)?.has("timeLimit")) return;
+
+  const delayMs = Math.max(0, getRemainingMs(gameState));
+  setGameTimer(gameId, "timeLimit", delayMs, () => {
+    const currentState = getGame(gameId);
+    if (!currentState || currentState.status !== "playing") return;
+
+    // The flip-back won't be needed any more
+    cancelUnlock(gameId);
+
+    const lostState = loseOnTime(currentState);
+    updateGame(gameId, lostState);
+    onLost(lostState);
+  });
+}
+
+// Stop the time limit (e.g. the game was won in time)
+export function cancelTimeLimit(gameId) {
+  return clearGameTimer(gameId, "timeLimit");
+}
+
+/**
+ * Passes the turn when the active player runs out of time
+ * Re-arms itself whenever a new turn starts; call it after every
+ * state change. The half-open card (if any) is flipped back and the
+ * turn moves on exactly like after a mismatch.
+ * @param {object} gameState - Current game state
+ * @param {function} onTimeout - Called with the state after the turn passed
+ */
+export function scheduleTurnLimit(gameState, onTimeout) {
+  const { gameId } = gameState;
+  const remainingMs = getTurnRemainingMs(gameState);
+
+  // No limit, game over, or a mismatch unlock will end the turn anyway
+  if (
+    remainingMs === null ||
+    gameState.status !== "playing" ||
+    gameState.lockBoard
+  ) {
+    clearGameTimer(gameId, "turnLimit");
+    return;
+  }
+
+  // Already armed for this turn
+  const deadline = gameState.turnStartedAt + gameState.turnLimitMs;
+  if (gameTimers.get(gameId)?.get("turnLimit")?.key === deadline) return;
+
+  setGameTimer(
+    gameId,
+    "turnLimit",
+    remainingMs,
+    () => {
+      const currentState = getGame(gameId);
+      if (!currentState || currentState.status !== "playing") return;
+      if (currentState.lockBoard) return;
+
+      log.info("Turn timed out", { gameId });
+      const passedState = unlockBoard(currentState, "timeout");
+      updateGame(gameId, passedState);
+      onTimeout(passedState);
+    },
+    deadline,
+  );
+}
+
+/**
+ * Runs a computer player's next flip after a pause
+ * Call it after every state change; it only arms when a bot is up
+ * and the board is open, and stays armed while that flip is pending.
+ * @param {object} gameState - Current game state
+ * @param {number} delayMs - Thinking time before the flip
+ * @param {function} onMove - Called with the current state when it's time to flip
+ */
+export function scheduleBotMove(gameState, delayMs, onMove) {
+  const { gameId } = gameState;
+  const player = gameState.players[gameState.activePlayerIndex];
+
+  if (!player?.bot || gameState.status !== "playing" || gameState.lockBoard) {
+    clearGameTimer(gameId, "botMove");
+    return;
+  }
+
+  // One pending flip per bot turn and card
+  const key = `${gameState.activePlayerIndex}:${gameState.moves}:${gameState.flippedCardIds.length}`;
+  if (gameTimers.get(gameId)?.get("botMove")?.key === key) return;
+
+  setGameTimer(
+    gameId,
+    "botMove",
+    delayMs,
+    () => {
+      const currentState = getGame(gameId);
+      if (!currentState || currentState.status !== "playing") return;
+      onMove(currentState);
+    },
+    key,
+  );
+}
@@ -0,0 +1,28 @@
+/**
+ * Builds the replay of a finished game from its event log
+ * Card values and the seed (which rebuilds the whole board) are only
+ * sent once the game is over, so a running game has no replay.
+ * @param {object} gameState - Full server game state
+ * @returns {object|null} Replay data, or null while the game is still running
+ */
+export default function getReplay(gameState) {
+  if (gameState.status === "playing") return null;
+
+  return {
+    gameId: gameState.gameId,
+    status: gameState.status,
+    rows: gameState.rows,
+    cols: gameState.cols,
+    seed: gameState.seed,
+    dailyDate: gameState.dailyDate,
+    // Cards in board order, so the client can lay out the same grid
+    cards: gameState.cards.map((card) => ({
+      id: card.id,
+      value: card.value,
+    })),
+    players: gameState.players.map((player) => ({ color: player.color })),
+    startedAt: gameState.startedAt,
+    finishedAt: gameState.finishedAt,
+    events: gameState.history ?? [],
+  };
+}
@@ -1,19 +1,31 @@
+import { getTimingInfo } from "./gameClock.js";
+
+/**
+ * Sanitizes game state for client
+ * CRITICAL: Removes card values to prevent cheating
+ *
+ * @param {object} gameState - Full server game state
+ * @returns {object} Sanitized state safe for client
+ */
 export default function sanitizeGameState(gameState) {
   const flippedSet = new Set(gameState.flippedCardIds);
 
+  // Include a card's value ONLY when it is face up (flipped or matched)
   const sanitizedCards = gameState.cards.map((card) => {
-    const shouldRevealValue = card.isMatched || flippedSet.has(card.id);
+    const isFaceUp = card.isMatched || flippedSet.has(card.id);
 
-    if (shouldRevealValue) {
+    if (isFaceUp) {
       return {
         id: card.id,
+        isFaceUp,
         isMatched: card.isMatched,
-        value: card.value, // Only revealed for flipped/matched cards
+        value: card.value,
       };
     }
 
     return {
       id: card.id,
+      isFaceUp,
       isMatched: card.isMatched,
       // value is intentionally omitted for face-down cards
     };
@@ -21,15 +33,30 @@ export default function sanitizeGameState(gameState) {
 
   return {
     gameId: gameState.gameId,
-    status: gameState.status,
-    lockBoard: gameState.lockBoard,
-    flippedCardIds: gameState.flippedCardIds,
-    activePlayerIndex: gameState.activePlayerIndex,
+    cards: sanitizedCards,
+    // Only what the sidebar shows, nothing the server keeps per player
     players: gameState.players.map((player) => ({
       id: player.id,
       color: player.color,
       score: player.score,
+      bot: player.bot,
     })),
-    cards: sanitizedCards,
+    activePlayerIndex: gameState.activePlayerIndex,
+    status: gameState.status,
+    moves: gameState.moves,
+    // Grows with every change; clients drop states older than their own
+    version: gameState.version,
+    // Board layout so the client can place and frame the grid
+    rows: gameState.rows,
+    cols: gameState.cols,
+    difficulty: gameState.difficulty,
+    // The seed recreates this exact board (and so every hidden card), so
+    // it is only sent once the game is over; dailyDate marks Daily Challenges
+    seed: gameState.status === "playing" ? undefined : gameState.seed,
+    dailyDate: gameState.dailyDate,
+    // Clock info for the sidebar timer (elapsed, per turn, time left)
+    ...getTimingInfo(gameState),
+    // lockBoard is intentionally excluded - server handles this
+    // flippedCardIds is intentionally excluded - derived from isFaceUp
   };
 }
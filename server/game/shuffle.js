@@ -1,12 +1,42 @@
+// Hash a seed (string or number) into a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a deterministic random number generator (mulberry32)
+ * The same seed always gives the same sequence.
+ * @param {string|number} seed - Any string or number
+ * @returns {function} Returns floats in [0, 1) like Math.random
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-export default function shuffle(array) {
+export default function shuffle(array, seed) {
   const shuffled = [...array];
+  // Seeded shuffles are reproducible; without a seed use Math.random
+  const random =
+    seed === undefined || seed === null ? Math.random : createRandom(seed);
   
   // Fisher-Yates shuffle
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   
   return shuffled;
-}
\ No newline at end of file
+}
@@ -0,0 +1,192 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { nanoid } from "nanoid";
+import { createLogger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE = path.join(__dirname, "../data/highscores.json");
+
+// Keep the file small: only the best results per mode are stored
+const MAX_SCORES_PER_MODE = 50;
+const DEFAULT_LIMIT = 10;
+
+let filePath = DEFAULT_FILE;
+let scores = null; // Loaded lazily: array of score records
+let loading = null; // Promise of that first read
+let writeQueue = Promise.resolve(); // Serializes writes to the file
+// In a cluster only the primary touches the file; workers ask it
+let remoteCall = null;
+
+const log = createLogger({ module: "highscores" });
+
+/**
+ * Point the store at another file (used before the first read)
+ * @param {string} newPath - Absolute path to the JSON file
+ */
+export function setHighscoreFile(newPath) {
+  filePath = newPath;
+  scores = null;
+  loading = null;
+}
+
+/**
+ * Sends recordGame and getHighscores to another process instead
+ * @param {function} call - (method, args) => Promise of the result
+ */
+export function useRemoteHighscores(call) {
+  remoteCall = call;
+}
+
+/**
+ * Builds the mode key used to group and filter scores
+ * Daily Challenges get their own bucket per day.
+ * @param {object} gameState - Full server game state
+ * @returns {string} e.g. "4x4" or "daily-2024-05-01"
+ */
+export function getModeKey(gameState) {
+  if (gameState.dailyDate) {
+    return `daily-${gameState.dailyDate}`;
+  }
+  return `${gameState.rows}x${gameState.cols}`;
+}
+
+// Best first: fewest moves, then fastest
+function compareScores(a, b) {
+  return a.moves - b.moves || a.durationMs - b.durationMs;
+}
+
+/**
+ * Reads the highscore file, recovering from a missing or corrupt file
+ * A corrupt file is moved aside so it can be inspected later.
+ * @returns {Promise<object[]>} All stored score records
+ */
+async function readScores() {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      log.error("Failed to read highscores", { err });
+    }
+    return [];
+  }
+
+  // An empty file is a fresh store, not a corrupt one
+  if (raw.trim() === "") return [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) {
+      throw new Error("Highscore file must contain an array");
+    }
+    return parsed.filter(
+      (s) => s && typeof s.mode === "string" && Number.isFinite(s.moves),
+    );
+  } catch (err) {
+    log.error("Corrupt highscore file, starting fresh", { err });
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, backupPath).catch(() => {});
+    return [];
+  }
+}
+
+// Reads the file once; callers arriving while it loads wait for the
+// same read, so none of them can overwrite records added in between
+function loadScores() {
+  loading ??= readScores().then((loaded) => {
+    scores = loaded;
+    return scores;
+  });
+  return loading;
+}
+
+/**
+ * Writes all scores atomically (temp file + rename)
+ * so a crash mid-write never leaves a half-written file behind.
+ */
+function saveScores() {
+  const data = JSON.stringify(scores, null, 2);
+
+  writeQueue = writeQueue
+    .then(async () => {
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpPath, data, "utf-8");
+      await fs.rename(tmpPath, filePath);
+    })
+    .catch((err) => {
+      log.error("Failed to save highscores", { err });
+    });
+
+  return writeQueue;
+}
+
+// Resolves once every pending write has reached the disk
+export function flushHighscores() {
+  return writeQueue;
+}
+
+/**
+ * Records a finished game
+ * @param {object} gameState - Full server game state with status "won"
+ * @returns {Promise<object>} The stored record
+ */
+export async function recordGame(gameState) {
+  if (remoteCall) return remoteCall("recordGame", [gameState]);
+  await loadScores();
+
+  const maxScore = Math.max(...gameState.players.map((p) => p.score));
+  const winners = gameState.players.filter((p) => p.score === maxScore);
+
+  const record = {
+    id: nanoid(8),
+    gameId: gameState.gameId,
+    mode: getModeKey(gameState),
+    rows: gameState.rows,
+    cols: gameState.cols,
+    seed: gameState.seed,
+    playerCount: gameState.players.length,
+    moves: gameState.moves,
+    durationMs:
+      (gameState.finishedAt ?? Date.now()) -
+      (gameState.startedAt ?? gameState.createdAt),
+    timeLimitMs: gameState.timeLimitMs ?? null,
+    // null means the game ended in a draw
+    winner: winners.length === 1 ? winners[0].color : null,
+    scores: gameState.players.map((p) => ({ color: p.color, score: p.score })),
+    finishedAt: new Date(gameState.finishedAt ?? Date.now()).toISOString(),
+  };
+
+  scores.push(record);
+
+  // Trim this mode down to its best results
+  const sameMode = scores.filter((s) => s.mode === record.mode);
+  if (sameMode.length > MAX_SCORES_PER_MODE) {
+    const keep = new Set(
+      sameMode.sort(compareScores).slice(0, MAX_SCORES_PER_MODE),
+    );
+    scores = scores.filter((s) => s.mode !== record.mode || keep.has(s));
+  }
+
+  await saveScores();
+  return record;
+}
+
+/**
+ * Returns the best scores, optionally filtered
+ * @param {object} filter - { mode?: string, playerCount?: number, limit?: number }
+ * @returns {Promise<object[]>} Sorted score records
+ */
+export async function getHighscores(filter = {}) {
+  if (remoteCall) return remoteCall("getHighscores", [filter]);
+  await loadScores();
+
+  return scores
+    .filter((s) => !filter.mode || s.mode === filter.mode)
+    .filter((s) => !filter.playerCount || s.playerCount === filter.playerCount)
+    .sort(compareScores)
+    .slice(0, filter.limit ?? DEFAULT_LIMIT);
+}
@@ -0,0 +1,91 @@
+// Structured logging: one JSON object per line, so log collectors can
+// filter by level or follow a single game, socket or player.
+//
+//   {"time":"...","level":"info","msg":"Socket resumed game","gameId":"...","socketId":"...","playerId":"..."}
+//
+// The level comes from LOG_LEVEL (debug, info, warn, error, silent);
+// per-message chatter is debug, so production runs at info stay quiet.
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+export const DEFAULT_LOG_LEVEL = "info";
+
+let threshold =
+  LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS[DEFAULT_LOG_LEVEL];
+
+// Set in cluster workers, so lines from different workers can be told apart
+const worker = process.env.WORKER_INDEX
+  ? Number(process.env.WORKER_INDEX)
+  : undefined;
+
+/**
+ * Changes how much is logged from now on
+ * @param {string} level - One of LOG_LEVELS
+ */
+export function setLogLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(
+      `Unknown log level "${level}", use one of: ${Object.keys(LOG_LEVELS).join(", ")}`,
+    );
+  }
+  threshold = LOG_LEVELS[level];
+}
+
+// Present on every line, null when a line isn't about a game, socket
+// or player, so a query for one game never has to guess the shape
+const CORRELATION_FIELDS = { gameId: null, socketId: null, playerId: null };
+
+// Errors don't survive JSON.stringify on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, msg, fields) {
+  if (LOG_LEVELS[level] < threshold) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    worker,
+    ...CORRELATION_FIELDS,
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+  if (entry.worker === undefined) delete entry.worker;
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Creates a logger whose lines all carry the given fields
+ * @param {object} fields - e.g. { gameId, socketId, playerId }
+ * @returns {object} { debug, info, warn, error, child } where each
+ *   level takes (msg, extraFields) and child(fields) adds more fields
+ */
+export function createLogger(fields = {}) {
+  const log = (level) => (msg, extra = {}) =>
+    write(level, msg, { ...fields, ...extra });
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (more) => createLogger({ ...fields, ...more }),
+  };
+}
@@ -0,0 +1,65 @@
+import { getConfig } from "./config.js";
+
+// Version of the WebSocket protocol spoken by this server.
+// Bump it whenever a message changes shape in a way old clients can't handle.
+// 2: FLIP_CARD carries a requestId and is answered with ACK or REJECTED
+export const PROTOCOL_VERSION = 2;
+
+// Oldest client protocol the server still understands
+export const MIN_PROTOCOL_VERSION = 2;
+
+// Optional parts of the protocol this server offers (unless switched
+// off in the server config's `features`)
+export const SERVER_FEATURES = [
+  "rooms",
+  "resume",
+  "spectate",
+  "replay",
+  "bots",
+  "highscores",
+  "delta",
+];
+
+// Messages that belong to a feature that can be switched off
+export const MESSAGE_FEATURES = {
+  CREATE_ROOM: "rooms",
+  JOIN_ROOM: "rooms",
+  SPECTATE: "spectate",
+  STOP_SPECTATING: "spectate",
+  GET_REPLAY: "replay",
+  GET_HIGHSCORES: "highscores",
+};
+
+// Whether a feature is on; features the config doesn't list always are
+export function isFeatureEnabled(feature) {
+  return getConfig().features[feature] ?? true;
+}
+
+// Whether messages of this type are accepted under the server config
+export function isMessageEnabled(type) {
+  const feature = MESSAGE_FEATURES[type];
+  return !feature || isFeatureEnabled(feature);
+}
+
+/**
+ * Checks a client's HELLO against what the server speaks
+ * @param {number} clientVersion - Protocol version the client was built for
+ * @param {string[]} clientFeatures - Features the client can use
+ * @returns {object} { compatible: boolean, features?: string[] } - features both sides support
+ */
+export function negotiate(clientVersion, clientFeatures = []) {
+  if (
+    clientVersion < MIN_PROTOCOL_VERSION ||
+    clientVersion > PROTOCOL_VERSION
+  ) {
+    return { compatible: false };
+  }
+
+  return {
+    compatible: true,
+    features: SERVER_FEATURES.filter(
+      (feature) =>
+        isFeatureEnabled(feature) && clientFeatures.includes(feature),
+    ),
+  };
+}
@@ -0,0 +1,167 @@
+import {
+  createTokenBucket,
+  getWaitMs,
+  takeToken,
+  isFull,
+} from "../utils/tokenBucket.js";
+import { getConfig } from "./config.js";
+
+// How often each message type may be sent: up to `burst` at once,
+// then `perMinute` on average. Generous for people clicking around,
+// tight enough that a script can't fill the server with games.
+export const MESSAGE_LIMITS = {
+  HELLO: { burst: 3, perMinute: 6 },
+  NEW_GAME: { burst: 5, perMinute: 10 },
+  CREATE_ROOM: { burst: 5, perMinute: 10 },
+  JOIN_ROOM: { burst: 5, perMinute: 20 },
+  RESUME: { burst: 5, perMinute: 20 },
+  SPECTATE: { burst: 5, perMinute: 20 },
+  STOP_SPECTATING: { burst: 5, perMinute: 30 },
+  RESYNC: { burst: 5, perMinute: 30 },
+  FLIP_CARD: { burst: 10, perMinute: 180 },
+  GET_HIGHSCORES: { burst: 10, perMinute: 30 },
+  GET_REPLAY: { burst: 10, perMinute: 30 },
+  // Frames that failed validation
+  invalid: { burst: 5, perMinute: 10 },
+};
+const DEFAULT_LIMIT = { burst: 5, perMinute: 30 };
+
+// A household or school shares one IP: it gets this many times the
+// limit of a single socket
+export const IP_LIMIT_FACTOR = 5;
+
+// New WebSocket connections per IP
+export const CONNECTION_LIMIT = { burst: 20, perMinute: 30 };
+
+// Refused messages a socket may rack up before it is disconnected
+export const STRIKE_LIMIT = { burst: 10, perMinute: 5 };
+
+// How often IPs whose buckets have refilled are forgotten
+export const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The address limits are counted against
+ * Behind a trusted proxy that is the last entry of its header (earlier
+ * entries come from the client and can be made up), otherwise the
+ * socket's own address.
+ * @param {http.IncomingMessage} req - HTTP request or WebSocket upgrade
+ * @returns {string} Client IP
+ */
+export function getClientIp(req) {
+  const { trustProxy, proxyHeader } = getConfig().server;
+  // Node lower-cases the names of incoming headers
+  const header = trustProxy
+    ? req.headers[proxyHeader.toLowerCase()]
+    : undefined;
+  const forwarded = [].concat(header ?? []).join(",").split(",");
+  return forwarded.at(-1).trim() || req.socket.remoteAddress;
+}
+
+// socket -> Map(type -> bucket); gone with the socket
+const socketBuckets = new WeakMap();
+// ip -> Map(type -> bucket). In a cluster each worker counts its own.
+const ipBuckets = new Map();
+// socket -> bucket of strikes
+const strikes = new WeakMap();
+
+function getBucket(owners, owner, name, limit) {
+  let buckets = owners.get(owner);
+  if (!buckets) {
+    buckets = new Map();
+    owners.set(owner, buckets);
+  }
+
+  let bucket = buckets.get(name);
+  if (!bucket) {
+    bucket = createTokenBucket(limit);
+    buckets.set(name, bucket);
+  }
+  return bucket;
+}
+
+function getIpLimit(type) {
+  const { burst, perMinute } = MESSAGE_LIMITS[type] ?? DEFAULT_LIMIT;
+  return {
+    burst: burst * IP_LIMIT_FACTOR,
+    perMinute: perMinute * IP_LIMIT_FACTOR,
+  };
+}
+
+/**
+ * Whether a socket may send a message of this type right now
+ * Every refused message counts as a strike against the socket.
+ * @param {WebSocket} ws - Sending socket
+ * @param {string} ip - Its client IP, see getClientIp
+ * @param {string} type - Message type ("invalid" for bad frames)
+ * @returns {object} { allowed: true } or
+ *   { allowed: false, retryAfterMs, disconnect } where `disconnect`
+ *   says the socket has been refused too often and should go
+ */
+export function checkMessage(ws, ip, type) {
+  const limit = MESSAGE_LIMITS[type] ?? DEFAULT_LIMIT;
+  const buckets = [
+    getBucket(socketBuckets, ws, type, limit),
+    getBucket(ipBuckets, ip, type, getIpLimit(type)),
+  ];
+
+  // Spend from both or neither, so a message the IP's bucket refuses
+  // doesn't also use up the socket's allowance
+  const retryAfterMs = Math.max(
+    ...buckets.map((bucket) => getWaitMs(bucket)),
+  );
+  if (retryAfterMs === 0) {
+    buckets.forEach((bucket) => takeToken(bucket));
+    return { allowed: true };
+  }
+
+  const disconnect =
+    takeToken(getBucket(strikes, ws, "strikes", STRIKE_LIMIT)) > 0;
+  return { allowed: false, retryAfterMs, disconnect };
+}
+
+/**
+ * Whether an IP may make a REST request of this kind right now
+ * Shares the IP's buckets with its WebSocket messages.
+ * @param {string} ip - Client IP, see getClientIp
+ * @param {string} type - Message type the request stands for
+ * @returns {object} { allowed: true } or { allowed: false, retryAfterMs }
+ */
+export function checkRequest(ip, type) {
+  const retryAfterMs = takeToken(
+    getBucket(ipBuckets, ip, type, getIpLimit(type)),
+  );
+  return retryAfterMs === 0
+    ? { allowed: true }
+    : { allowed: false, retryAfterMs };
+}
+
+// Whether an IP may open another WebSocket right now
+export function checkConnection(ip) {
+  return takeToken(getBucket(ipBuckets, ip, "connect", CONNECTION_LIMIT)) === 0;
+}
+
+/**
+ * Forgets IPs that have been quiet long enough to be back at full
+ * @param {number} now - Current time (for tests)
+ * @returns {number} How many IPs were forgotten
+ */
+export function sweepBuckets(now = Date.now()) {
+  let removed = 0;
+  for (const [ip, buckets] of ipBuckets) {
+    if ([...buckets.values()].every((bucket) => isFull(bucket, now))) {
+      ipBuckets.delete(ip);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Runs sweepBuckets on an interval
+ * @returns {function} Stops the sweeper
+ */
+export function startSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => sweepBuckets(), intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
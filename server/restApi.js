@@ -0,0 +1,343 @@
+// JSON API next to the WebSocket protocol, so scripts, tests and other
+// front-ends can drive games without a socket. Moves go through the
+// same game code as FLIP_CARD and are broadcast to the game's sockets.
+//
+//   POST /api/games            create a game, returns its player token
+//   GET  /api/games/:id        sanitized state
+//   POST /api/games/:id/flip   flip a card as the active player
+//   GET  /api/games/:id/replay event log of a finished game
+//   GET  /api/highscores       best results (?mode=4x4&playerCount=2)
+
+import {
+  validateNewGame,
+  validateGetHighscores,
+} from "../utils/messageFormats.js";
+import {
+  getSchema,
+  validateFields,
+  MAX_MESSAGE_BYTES,
+  VALIDATION_ERRORS,
+} from "../utils/validate.js";
+import * as gameManager from "./game/gameManager.js";
+import * as roomManager from "./roomManager.js";
+import * as highscores from "./highscores.js";
+import getReplay from "./game/getReplay.js";
+import { IGNORED_MOVE_MESSAGES } from "./game/applyMove.js";
+import { isFeatureEnabled, isMessageEnabled } from "./protocol.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger({ module: "api" });
+
+const FLIP_FIELDS = {
+  cardId: { type: "string", required: true, maxLength: 64 },
+  sessionToken: { type: "string", required: true, maxLength: 64 },
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, field) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+function featureDisabled() {
+  return new ApiError(
+    403,
+    "FEATURE_DISABLED",
+    "This feature is turned off on this server",
+  );
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+function sendApiError(res, err) {
+  sendJson(
+    res,
+    err.status,
+    { error: { code: err.code, message: err.message, field: err.field } },
+    err.headers,
+  );
+}
+
+// Turn a failed validation into the 400 it deserves
+function assertValid(result) {
+  if (!result.valid) {
+    throw new ApiError(
+      400,
+      result.code ?? VALIDATION_ERRORS.INVALID_VALUE,
+      result.error,
+      result.field,
+    );
+  }
+}
+
+/**
+ * Reads a JSON request body, no bigger than a WebSocket message
+ * @param {http.IncomingMessage} req - Request to read
+ * @returns {Promise<object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_MESSAGE_BYTES) {
+        reject(
+          new ApiError(
+            413,
+            "PAYLOAD_TOO_LARGE",
+            `Request bodies can be at most ${MAX_MESSAGE_BYTES} bytes`,
+          ),
+        );
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf-8").trim();
+      if (raw === "") return resolve({});
+
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch {
+        reject(
+          new ApiError(
+            400,
+            VALIDATION_ERRORS.INVALID_JSON,
+            "Request body must be a JSON object",
+          ),
+        );
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+function findGame(gameId) {
+  const gameState = gameManager.getGame(gameId);
+  if (gameState) return gameState;
+
+  if (gameManager.wasExpired(gameId)) {
+    throw new ApiError(410, "GAME_EXPIRED", "This game has expired");
+  }
+  throw new ApiError(404, "GAME_NOT_FOUND", "Game not found");
+}
+
+/**
+ * Builds the request handler for everything under /api/
+ * @param {object} game - Game actions shared with the WebSocket handlers
+ * @param {function} game.startGame - (validation, online) => { gameState, room }
+ * @param {function} game.playMove - (gameState, cardId) => result of applyMove
+ * @param {function} game.broadcastGameState - (gameState) => void
+ * @param {function} game.getClientView - (gameState) => state as clients see it
+ * @param {function} game.countError - (code) => void, for /metrics
+ * @param {function} game.startTurnsWhenSeated - (room) => current game
+ *   state, starting the turn limit once every seat is taken
+ * @param {function} game.checkRate - (req, type) => result of
+ *   rateLimiter.checkRequest, where type is the matching message type
+ * @returns {function} async (req, res, url) => void
+ */
+export function createApiHandler(game) {
+  // ===== POST /api/games =====
+  async function createGame(req) {
+    const { online = false, ...options } = await readJsonBody(req);
+
+    assertValid(
+      validateFields(
+        { ...getSchema("NEW_GAME"), online: { type: "boolean" } },
+        { ...options, online },
+      ),
+    );
+    const validation = validateNewGame(options);
+    assertValid(validation);
+
+    if (online && !isFeatureEnabled("rooms")) {
+      throw featureDisabled();
+    }
+
+    const { gameState, room } = game.startGame(validation, online);
+    const seat = roomManager.reserveSeat(room);
+
+    log.info("New game created over REST", { gameId: gameState.gameId });
+    game.broadcastGameState(game.startTurnsWhenSeated(room));
+
+    return [
+      201,
+      {
+        gameId: gameState.gameId,
+        roomCode: room.code,
+        playerIndex: seat.playerIndex,
+        sessionToken: seat.sessionToken,
+        state: game.getClientView(gameManager.getGame(gameState.gameId)),
+      },
+    ];
+  }
+
+  // ===== GET /api/games/:id =====
+  async function getGame(req, gameId) {
+    return [200, game.getClientView(findGame(gameId))];
+  }
+
+  // ===== POST /api/games/:id/flip =====
+  async function flipCard(req, gameId) {
+    const body = await readJsonBody(req);
+    assertValid(validateFields(FLIP_FIELDS, body));
+
+    const gameState = findGame(gameId);
+    const room = roomManager.getRoom(gameId);
+    const denied = room
+      ? roomManager.authorizeTokenMove(
+          room,
+          body.sessionToken,
+          gameState.activePlayerIndex,
+        )
+      : { code: "NOT_IN_GAME", message: "You are not in this game" };
+
+    // A bad token is forbidden; the wrong turn is a conflict with the game
+    if (denied) {
+      throw new ApiError(
+        denied.code === "INVALID_PLAYER_TOKEN" ? 403 : 409,
+        denied.code,
+        denied.message,
+      );
+    }
+
+    const result = game.playMove(gameState, body.cardId);
+
+    if (result.error) {
+      throw new ApiError(409, "MOVE_FAILED", result.error);
+    }
+    if (result.ignored) {
+      throw new ApiError(
+        409,
+        result.reason,
+        IGNORED_MOVE_MESSAGES[result.reason] ?? "That move is not allowed",
+      );
+    }
+
+    return [
+      200,
+      {
+        version: result.gameState.version,
+        state: game.getClientView(result.gameState),
+      },
+    ];
+  }
+
+  // ===== GET /api/games/:id/replay =====
+  async function getGameReplay(req, gameId) {
+    const replay = getReplay(findGame(gameId));
+    if (!replay) {
+      throw new ApiError(
+        409,
+        "REPLAY_UNAVAILABLE",
+        "Replays are available once the game is finished",
+      );
+    }
+    return [200, replay];
+  }
+
+  // ===== GET /api/highscores =====
+  async function listHighscores(req, gameId, url) {
+    const query = Object.fromEntries(url.searchParams);
+    const options = {
+      mode: query.mode,
+      // Query strings are text; the schema still decides what's valid
+      playerCount: /^\d+$/.test(query.playerCount ?? "")
+        ? Number(query.playerCount)
+        : query.playerCount,
+    };
+
+    assertValid(validateFields(getSchema("GET_HIGHSCORES"), options));
+    const validation = validateGetHighscores(options);
+
+    const scores = await highscores.getHighscores({
+      mode: validation.bucket,
+      playerCount: validation.playerCount,
+    });
+
+    return [
+      200,
+      {
+        mode: validation.mode ?? null,
+        playerCount: validation.playerCount ?? null,
+        scores,
+      },
+    ];
+  }
+
+  // [method, path pattern, handler, message type it is rate limited
+  // like]; `:id` is passed on as gameId
+  const routes = [
+    ["POST", /^\/api\/games$/, createGame, "NEW_GAME"],
+    ["GET", /^\/api\/games\/([\w-]+)$/, getGame, "RESYNC"],
+    ["POST", /^\/api\/games\/([\w-]+)\/flip$/, flipCard, "FLIP_CARD"],
+    ["GET", /^\/api\/games\/([\w-]+)\/replay$/, getGameReplay, "GET_REPLAY"],
+    ["GET", /^\/api\/highscores$/, listHighscores, "GET_HIGHSCORES"],
+  ];
+
+  return async function handleApiRequest(req, res, url) {
+    const matches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+    const route = matches.find(([method]) => method === req.method);
+
+    try {
+      if (!route) {
+        throw matches.length > 0
+          ? new ApiError(405, "METHOD_NOT_ALLOWED", "Method not allowed")
+          : new ApiError(404, "NOT_FOUND", "No such endpoint");
+      }
+
+      const [, pattern, handler, type] = route;
+
+      if (!isMessageEnabled(type)) {
+        throw featureDisabled();
+      }
+
+      const limit = game.checkRate(req, type);
+      if (!limit.allowed) {
+        const err = new ApiError(
+          429,
+          "RATE_LIMITED",
+          "Too many requests, please slow down",
+        );
+        err.headers = {
+          "Retry-After": String(Math.ceil(limit.retryAfterMs / 1000)),
+        };
+        throw err;
+      }
+
+      const [, gameId] = url.pathname.match(pattern);
+      const [status, body] = await handler(req, gameId, url);
+      sendJson(res, status, body);
+    } catch (err) {
+      if (err instanceof ApiError) {
+        game.countError(err.code);
+        sendApiError(res, err);
+        return;
+      }
+      log.error("REST API error", { method: req.method, path: url.pathname, err });
+      game.countError("INTERNAL_ERROR");
+      sendJson(res, 500, {
+        error: { code: "INTERNAL_ERROR", message: "Something went wrong" },
+      });
+    }
+  };
+}
@@ -0,0 +1,417 @@
+import { nanoid, customAlphabet } from "nanoid";
+import createMemoryStore from "./storage/createMemoryStore.js";
+
+// Join codes avoid look-alike characters (0/O, 1/I/L)
+const createCode = customAlphabet("23456789ABCDEFGHJKMNPQRSTUVWXYZ", 5);
+
+// gameId -> room
+const rooms = new Map();
+// join code -> gameId
+const codes = new Map();
+// session token -> gameId. The token is the player's secret: it is
+// only ever sent to the socket that created or joined the seat.
+const sessions = new Map();
+// socket -> gameId of the room it is in
+const socketRooms = new Map();
+// session token -> gameId of deleted rooms, so a late RESUME can be
+// told its game expired rather than that it never existed
+const deletedSessions = new Map();
+const MAX_DELETED_SESSIONS = 1000;
+
+// Rooms without their sockets, kept so seats and session tokens
+// survive a restart: gameId -> { gameId, code, online, seats }
+let store = createMemoryStore();
+
+/**
+ * Keeps the rooms in another store (see server/storage/)
+ * @param {object} newStore - A store from createStore
+ */
+export function setStore(newStore) {
+  store = newStore;
+}
+
+// Write a room to the store after its seats changed
+function saveRoom(room) {
+  store.set(room.gameId, {
+    gameId: room.gameId,
+    code: room.code,
+    online: room.online,
+    seats: room.seats.map(
+      (seat) => seat && { token: seat.token, bot: Boolean(seat.bot) },
+    ),
+  });
+}
+
+/**
+ * Creates the room for a game
+ * A local room has one session that plays every seat.
+ * An online room gets a join code and one session per seat.
+ * Seats are { token, ws } and stay reserved for their session
+ * after a disconnect, so the player can resume later. Bot seats are
+ * { token: null, ws: null, bot: true } and can never be claimed.
+ * @param {string} gameId - Game the room belongs to
+ * @param {number} playerCount - Number of seats
+ * @param {boolean} online - Whether other devices can join with a code
+ * @param {Array<string|null>} bots - Bot difficulty per seat, null for humans
+ * @returns {object} The new room
+ */
+export function createRoom(gameId, playerCount, online = false, bots = []) {
+  let code = null;
+  if (online) {
+    do {
+      code = createCode();
+    } while (codes.has(code));
+    codes.set(code, gameId);
+  }
+
+  const room = {
+    gameId,
+    code,
+    online,
+    sockets: new Set(), // Everyone who gets the broadcasts
+    spectators: new Set(), // Read-only sockets, a subset of `sockets`
+    // playerIndex -> { token, ws }
+    seats: Array.from({ length: playerCount }, (_, index) =>
+      bots[index] ? { token: null, ws: null, bot: true } : null,
+    ),
+  };
+
+  rooms.set(gameId, room);
+  saveRoom(room);
+  return room;
+}
+
+// Get a room by game id
+export function getRoom(gameId) {
+  return rooms.get(gameId) ?? null;
+}
+
+// Get a room by its join code (case-insensitive)
+export function getRoomByCode(code) {
+  const gameId = codes.get(String(code).toUpperCase());
+  return gameId ? getRoom(gameId) : null;
+}
+
+// Get the room a session token belongs to
+export function getRoomBySession(token) {
+  const gameId = sessions.get(token);
+  return gameId ? getRoom(gameId) : null;
+}
+
+// Get the room a socket is currently in
+export function getRoomForSocket(ws) {
+  const gameId = socketRooms.get(ws);
+  return gameId ? getRoom(gameId) : null;
+}
+
+// Seat a socket plays in an online room, null for spectators,
+// local rooms (every seat) and sockets without a seat
+export function getPlayerIndex(room, ws) {
+  if (!room.online) return null;
+  const index = room.seats.findIndex((seat) => seat?.ws === ws);
+  return index === -1 ? null : index;
+}
+
+// Whether every seat has a player (or bot), so the game can get going
+export function allSeatsTaken(room) {
+  return room.seats.every((seat) => seat !== null);
+}
+
+function attachSocket(room, ws) {
+  leaveRoom(ws);
+  room.sockets.add(ws);
+  socketRooms.set(ws, room.gameId);
+}
+
+function createSession(room) {
+  const token = nanoid(24);
+  sessions.set(token, room.gameId);
+  return token;
+}
+
+/**
+ * Adds a socket to a room, leaving any previous room first
+ * For local rooms the socket takes every seat.
+ * For online rooms it claims `playerIndex`, or the first free seat.
+ * @param {object} room - Room to join
+ * @param {WebSocket} ws - Joining socket
+ * @param {number} [playerIndex] - Requested seat (online rooms only)
+ * @returns {object} { playerIndex?: number|null, sessionToken?: string, error?: string }
+ */
+export function joinRoom(room, ws, playerIndex) {
+  if (!room.online) {
+    const token = createSession(room);
+    attachSocket(room, ws);
+    room.seats = room.seats.map((seat) => (seat?.bot ? seat : { token, ws }));
+    saveRoom(room);
+    return { playerIndex: null, sessionToken: token };
+  }
+
+  // Re-joining without asking for a seat keeps the current one
+  const currentSeat = room.seats.findIndex((seat) => seat?.ws === ws);
+  if (currentSeat !== -1 && (playerIndex ?? currentSeat) === currentSeat) {
+    return {
+      playerIndex: currentSeat,
+      sessionToken: room.seats[currentSeat].token,
+    };
+  }
+
+  const seat = playerIndex ?? room.seats.indexOf(null);
+
+  if (seat === -1) {
+    return { error: "Room is full" };
+  }
+
+  if (seat < 0 || seat >= room.seats.length) {
+    return { error: "No such player slot" };
+  }
+
+  if (room.seats[seat]) {
+    return { error: "That player slot is already taken" };
+  }
+
+  attachSocket(room, ws);
+  const token = createSession(room);
+  room.seats[seat] = { token, ws };
+  saveRoom(room);
+
+  return { playerIndex: seat, sessionToken: token };
+}
+
+/**
+ * Claims a seat for a player without a socket (the REST API)
+ * Like joinRoom, but nothing is attached: the token alone proves the
+ * seat, and a socket can RESUME it later.
+ * @param {object} room - Room to join
+ * @returns {object} { playerIndex?: number|null, sessionToken?: string, error?: string }
+ */
+export function reserveSeat(room) {
+  if (!room.online) {
+    const token = createSession(room);
+    room.seats = room.seats.map((seat) =>
+      seat?.bot ? seat : { token, ws: null },
+    );
+    saveRoom(room);
+    return { playerIndex: null, sessionToken: token };
+  }
+
+  const seat = room.seats.indexOf(null);
+  if (seat === -1) {
+    return { error: "Room is full" };
+  }
+
+  const token = createSession(room);
+  room.seats[seat] = { token, ws: null };
+  saveRoom(room);
+  return { playerIndex: seat, sessionToken: token };
+}
+
+/**
+ * Adds a socket to a room as a read-only observer
+ * Spectators get every broadcast but never hold a seat.
+ * @param {object} room - Room to watch
+ * @param {WebSocket} ws - Watching socket
+ */
+export function spectateRoom(room, ws) {
+  attachSocket(room, ws);
+  room.spectators.add(ws);
+}
+
+// Whether a socket only watches the room
+export function isSpectator(room, ws) {
+  return room.spectators.has(ws);
+}
+
+/**
+ * Re-attaches a socket to the seat(s) held by a session token
+ * Any socket still attached to those seats is detached.
+ * @param {string} token - Session token issued by joinRoom
+ * @param {WebSocket} ws - The new socket
+ * @returns {object} { room?: object, playerIndex?: number|null, error?: string }
+ */
+export function resumeSession(token, ws) {
+  const room = getRoomBySession(token);
+  if (!room) {
+    return { error: "Session not found" };
+  }
+
+  attachSocket(room, ws);
+
+  let playerIndex = null;
+  room.seats.forEach((seat, index) => {
+    if (seat?.token !== token) return;
+
+    if (seat.ws && seat.ws !== ws) {
+      detachSocket(room, seat.ws);
+    }
+    seat.ws = ws;
+    playerIndex = index;
+  });
+
+  return { room, playerIndex: room.online ? playerIndex : null };
+}
+
+function detachSocket(room, ws) {
+  room.sockets.delete(ws);
+  room.spectators.delete(ws);
+  socketRooms.delete(ws);
+  room.seats.forEach((seat) => {
+    if (seat?.ws === ws) seat.ws = null;
+  });
+}
+
+/**
+ * Removes a socket from its room
+ * Its seats stay reserved for the session so the player can resume.
+ * @param {WebSocket} ws - Socket that left or disconnected
+ * @returns {object|null} The room it left
+ */
+export function leaveRoom(ws) {
+  const room = getRoomForSocket(ws);
+  if (!room) return null;
+
+  detachSocket(room, ws);
+  return room;
+}
+
+/**
+ * Checks that a move comes from the active player
+ * The socket must be bound to the game, hold a seat through the
+ * player's secret token, and that seat must be the active one.
+ * In local rooms one token holds every seat, so only the first checks matter.
+ * @param {object} room - Room of the game
+ * @param {WebSocket} ws - Socket sending the move
+ * @param {string} token - Player secret sent with the move
+ * @param {number} activePlayerIndex - Player whose turn it is
+ * @returns {object|null} null when allowed, otherwise { code, message }
+ */
+export function authorizeMove(room, ws, token, activePlayerIndex) {
+  if (!room.sockets.has(ws)) {
+    return { code: "NOT_IN_GAME", message: "You are not in this game" };
+  }
+
+  if (room.spectators.has(ws)) {
+    return { code: "SPECTATOR", message: "Spectators can't flip cards" };
+  }
+
+  const invalidToken = checkToken(room, token);
+  if (invalidToken) return invalidToken;
+
+  const isBound = room.seats.some(
+    (seat) => seat?.token === token && seat.ws === ws,
+  );
+  if (!isBound) {
+    return {
+      code: "TOKEN_NOT_BOUND",
+      message: "This player is connected from another device",
+    };
+  }
+
+  return checkTurn(room, token, activePlayerIndex);
+}
+
+/**
+ * Checks a move that comes without a socket (the REST API)
+ * The player's secret token alone decides, whichever device holds the seat.
+ * @param {object} room - Room of the game
+ * @param {string} token - Player secret sent with the move
+ * @param {number} activePlayerIndex - Player whose turn it is
+ * @returns {object|null} null when allowed, otherwise { code, message }
+ */
+export function authorizeTokenMove(room, token, activePlayerIndex) {
+  return checkToken(room, token) ?? checkTurn(room, token, activePlayerIndex);
+}
+
+function checkToken(room, token) {
+  if (!token || sessions.get(token) !== room.gameId) {
+    return {
+      code: "INVALID_PLAYER_TOKEN",
+      message: "Missing or unknown player token for this game",
+    };
+  }
+  return null;
+}
+
+function checkTurn(room, token, activePlayerIndex) {
+  const activeSeat = room.seats[activePlayerIndex];
+
+  if (activeSeat?.bot) {
+    return {
+      code: "BOT_TURN",
+      message: "Wait for the computer to finish its turn",
+    };
+  }
+
+  if (activeSeat?.token !== token) {
+    return { code: "NOT_YOUR_TURN", message: "Not your turn" };
+  }
+
+  return null;
+}
+
+// Public seat info: which player slots are taken and connected
+export function getSeatInfo(room) {
+  return room.seats.map((seat) => ({
+    taken: seat !== null,
+    connected: Boolean(seat?.ws || seat?.bot),
+    bot: Boolean(seat?.bot),
+  }));
+}
+
+/**
+ * Brings back the rooms kept in the store (after a restart)
+ * Every seat starts disconnected; players RESUME with their token.
+ * @returns {object[]} The restored rooms
+ */
+export function loadRooms() {
+  return store.list().map(({ value: { gameId, code, online, seats } }) => {
+    const room = {
+      gameId,
+      code,
+      online,
+      sockets: new Set(),
+      spectators: new Set(),
+      seats: seats.map(
+        (seat) =>
+          seat &&
+          (seat.bot
+            ? { token: null, ws: null, bot: true }
+            : { token: seat.token, ws: null }),
+      ),
+    };
+
+    rooms.set(gameId, room);
+    if (code) codes.set(code, gameId);
+    seats.forEach((seat) => seat?.token && sessions.set(seat.token, gameId));
+    return room;
+  });
+}
+
+// Game a session token belonged to before its room was deleted, or null
+export function getDeletedSessionGame(token) {
+  return deletedSessions.get(token) ?? null;
+}
+
+function forgetSession(token, gameId) {
+  sessions.delete(token);
+
+  deletedSessions.set(token, gameId);
+  if (deletedSessions.size > MAX_DELETED_SESSIONS) {
+    // Maps keep insertion order, so the first key is the oldest
+    deletedSessions.delete(deletedSessions.keys().next().value);
+  }
+}
+
+// Remove a room, its join code and its sessions
+export function deleteRoom(gameId) {
+  const room = rooms.get(gameId);
+  if (!room) return false;
+
+  if (room.code) codes.delete(room.code);
+  room.seats.forEach(
+    (seat) => seat?.token && forgetSession(seat.token, gameId),
+  );
+  room.sockets.forEach((ws) => socketRooms.delete(ws));
+  store.delete(gameId);
+  return rooms.delete(gameId);
+}
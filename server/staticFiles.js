@@ -0,0 +1,289 @@
+// Serves the frontend from public/: no path can escape the root, every
+// asset gets its real content type, unchanged files answer 304, text is
+// compressed and large binaries (the HDR environment maps) can be
+// fetched in ranges.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { createLogger } from "./logger.js";
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+const log = createLogger({ module: "static" });
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".hdr": "image/vnd.radiance",
+  ".exr": "image/x-exr",
+  ".fbx": "application/octet-stream",
+  ".glb": "model/gltf-binary",
+  ".gltf": "model/gltf+json",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav",
+};
+
+// Worth compressing: text formats (images and models already are, or don't shrink)
+const COMPRESSIBLE = new Set([
+  ".html",
+  ".css",
+  ".js",
+  ".mjs",
+  ".json",
+  ".map",
+  ".webmanifest",
+  ".txt",
+  ".svg",
+]);
+
+// Code and pages aren't fingerprinted, so browsers revalidate them
+// (a cheap 304); textures and models rarely change
+const REVALIDATE = "no-cache";
+const ASSET_MAX_AGE = "public, max-age=86400";
+
+// Compressed copies of text files: filePath -> { etag, br?, gzip? }
+const compressedCache = new Map();
+
+function sendStatus(res, status, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "text/plain", ...headers });
+  res.end(message);
+}
+
+/**
+ * Maps a URL path onto a file below the root, or null if it would escape
+ * @param {string} root - Absolute path of the public directory
+ * @param {string} urlPath - Path part of the request URL
+ * @returns {string|null} Absolute file path
+ */
+function resolveFile(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  if (decoded.includes("\0")) return null;
+
+  const relative = decoded === "/" ? "index.html" : decoded;
+  const filePath = path.resolve(root, `.${path.posix.normalize(`/${relative}`)}`);
+
+  return filePath === root || filePath.startsWith(root + path.sep)
+    ? filePath
+    : null;
+}
+
+// Weak validator from size and modification time, like most servers use
+function getEtag(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// Whether the browser's cached copy is still current
+function isNotModified(req, etag, stat) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").some((tag) => tag.trim() === etag);
+  }
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] ?? "");
+  // HTTP dates have whole seconds
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    Math.floor(stat.mtimeMs / 1000) * 1000 <= ifModifiedSince
+  );
+}
+
+// Whether a Range request's If-Range still names this version of the
+// file. If-Range needs a strong validator and our ETags are weak, so
+// only the Last-Modified date can match (RFC 9110, section 13.1.5).
+function isRangeCurrent(req, stat) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) return false;
+
+  return Date.parse(ifRange) === Math.floor(stat.mtimeMs / 1000) * 1000;
+}
+
+// Best encoding the browser accepts: brotli, then gzip
+function pickEncoding(req) {
+  const accepted = req.headers["accept-encoding"] ?? "";
+  if (/\bbr\b/.test(accepted)) return "br";
+  if (/\bgzip\b/.test(accepted)) return "gzip";
+  return null;
+}
+
+async function getCompressed(filePath, etag, encoding) {
+  let entry = compressedCache.get(filePath);
+  if (!entry || entry.etag !== etag) {
+    entry = { etag };
+    compressedCache.set(filePath, entry);
+  }
+
+  if (!entry[encoding]) {
+    const content = await fsp.readFile(filePath);
+    entry[encoding] =
+      encoding === "br"
+        ? await brotliCompress(content, {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 },
+          })
+        : await gzip(content, { level: 9 });
+  }
+  return entry[encoding];
+}
+
+/**
+ * Parses a single "bytes=start-end" range
+ * @returns {object|null|false} { start, end }, null when there is no
+ *   usable Range header, false when it can't be satisfied
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header ?? "");
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+}
+
+/**
+ * Builds the handler for static files
+ * @param {string} root - Directory to serve (e.g. public/)
+ * @returns {function} async (req, res, url) => void
+ */
+export function createStaticHandler(root) {
+  const publicRoot = path.resolve(root);
+
+  return async function serveStatic(req, res, url) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      sendStatus(res, 405, "405 Method Not Allowed", { Allow: "GET, HEAD" });
+      return;
+    }
+
+    const filePath = resolveFile(publicRoot, url.pathname);
+    if (!filePath) {
+      sendStatus(res, 400, "400 Bad Request");
+      return;
+    }
+
+    let stat;
+    try {
+      stat = await fsp.stat(filePath);
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") {
+        sendStatus(res, 404, "404 Not Found");
+      } else {
+        log.error("Failed to read static file", { err });
+        sendStatus(res, 500, "500 Internal Server Error");
+      }
+      return;
+    }
+
+    if (!stat.isFile()) {
+      sendStatus(res, 404, "404 Not Found");
+      return;
+    }
+
+    const extname = path.extname(filePath).toLowerCase();
+    const etag = getEtag(stat);
+    const headers = {
+      "Content-Type": MIME_TYPES[extname] ?? "application/octet-stream",
+      ETag: etag,
+      "Last-Modified": stat.mtime.toUTCString(),
+      "Cache-Control": COMPRESSIBLE.has(extname) ? REVALIDATE : ASSET_MAX_AGE,
+      "X-Content-Type-Options": "nosniff",
+    };
+
+    if (isNotModified(req, etag, stat)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    // ===== COMPRESSED TEXT =====
+    if (COMPRESSIBLE.has(extname)) {
+      headers.Vary = "Accept-Encoding";
+      const encoding = pickEncoding(req);
+
+      if (encoding) {
+        try {
+          const body = await getCompressed(filePath, etag, encoding);
+          res.writeHead(200, {
+            ...headers,
+            "Content-Encoding": encoding,
+            "Content-Length": body.length,
+          });
+          res.end(req.method === "HEAD" ? undefined : body);
+          return;
+        } catch (err) {
+          // Fall back to the plain file
+          log.error("Failed to compress static file", { err });
+        }
+      }
+    }
+
+    // ===== RANGES (large binaries like the HDR maps) =====
+    headers["Accept-Ranges"] = "bytes";
+
+    // A range of an older version of the file would be corrupt
+    const range = isRangeCurrent(req, stat)
+      ? parseRange(req.headers.range, stat.size)
+      : null;
+
+    if (range === false) {
+      sendStatus(res, 416, "416 Range Not Satisfiable", {
+        "Content-Range": `bytes */${stat.size}`,
+      });
+      return;
+    }
+
+    const { start, end } = range ?? { start: 0, end: stat.size - 1 };
+    res.writeHead(range ? 206 : 200, {
+      ...headers,
+      "Content-Length": stat.size === 0 ? 0 : end - start + 1,
+      ...(range && { "Content-Range": `bytes ${start}-${end}/${stat.size}` }),
+    });
+
+    if (req.method === "HEAD" || stat.size === 0) {
+      res.end();
+      return;
+    }
+
+    fs.createReadStream(filePath, { start, end })
+      .on("error", (err) => {
+        log.error("Failed to stream static file", { err });
+        res.destroy(err);
+      })
+      .pipe(res);
+  };
+}
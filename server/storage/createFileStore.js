@@ -0,0 +1,219 @@
+// Store kept in memory and mirrored to a file under data/, so games
+// survive restarts (and crashes, up to the last WRITE_DELAY_MS).
+//
+//   json    the whole store as one object, rewritten after changes
+//   ndjson  an append-only log of changes, one JSON line each, which is
+//           compacted on load and whenever it grows too long
+
+import fs from "fs/promises";
+import path from "path";
+import createMemoryStore from "./createMemoryStore.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger({ module: "store" });
+
+// Changes within this window are written together
+const WRITE_DELAY_MS = 200;
+// Rewrite an NDJSON log once it holds this many lines per live entry...
+const COMPACT_RATIO = 4;
+// ...and at least this many lines in total
+const COMPACT_MIN_LINES = 1000;
+
+export const FILE_FORMATS = ["json", "ndjson"];
+
+// Temp file + rename, so a crash mid-write never leaves half a file
+async function writeAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tmpPath, data, "utf-8");
+  await fs.rename(tmpPath, filePath);
+}
+
+// Change records from an NDJSON log, in order
+function parseLog(raw) {
+  const records = [];
+  raw.split("\n").forEach((line, index) => {
+    if (line.trim() === "") return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Most likely the last line of a write cut short by a crash
+      log.error("Skipping unreadable line of store log", { line: index + 1 });
+    }
+  });
+  return records;
+}
+
+// Entries of a JSON store file: { key: { value, expiresAt } }
+function parseObject(raw) {
+  const parsed = JSON.parse(raw);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("Store file must contain an object");
+  }
+  return Object.entries(parsed).map(([key, entry]) => ({
+    op: "set",
+    key,
+    value: entry.value,
+    expiresAt: entry.expiresAt ?? null,
+  }));
+}
+
+/**
+ * Creates a store persisted to a file
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} format - "json" or "ndjson"
+ * @returns {import("./createMemoryStore.js").Store}
+ */
+export default function createFileStore(filePath, format = "json") {
+  if (!FILE_FORMATS.includes(format)) {
+    throw new Error(`Unknown store file format: ${format}`);
+  }
+
+  let loading = false;
+  let pendingLines = []; // NDJSON lines not yet appended
+  let logLines = 0; // Lines in the NDJSON file on disk
+  let rewrite = false; // Whether the next write replaces the whole file
+  let writeTimer = null;
+  let writeQueue = Promise.resolve(); // Serializes writes to the file
+
+  const memory = createMemoryStore((change) => {
+    if (loading) return;
+
+    if (format === "ndjson") {
+      pendingLines.push(`${JSON.stringify(change)}\n`);
+    } else {
+      rewrite = true;
+    }
+    scheduleWrite();
+  });
+
+  function serializeAll() {
+    const entries = memory.list();
+
+    if (format === "ndjson") {
+      return entries
+        .map(({ key, value, expiresAt }) =>
+          JSON.stringify({ op: "set", key, value, expiresAt }),
+        )
+        .map((line) => `${line}\n`)
+        .join("");
+    }
+
+    return JSON.stringify(
+      Object.fromEntries(
+        entries.map(({ key, value, expiresAt }) => [key, { value, expiresAt }]),
+      ),
+    );
+  }
+
+  function needsCompaction() {
+    const lines = logLines + pendingLines.length;
+    return (
+      lines >= COMPACT_MIN_LINES &&
+      lines > COMPACT_RATIO * memory.list().length
+    );
+  }
+
+  async function writeChanges() {
+    writeTimer = null;
+
+    if (rewrite || needsCompaction()) {
+      // The full store already includes every pending change
+      const data = serializeAll();
+      rewrite = false;
+      pendingLines = [];
+      await writeAtomic(filePath, data);
+      logLines = format === "ndjson" ? memory.list().length : 0;
+      return;
+    }
+
+    if (pendingLines.length === 0) return;
+
+    const lines = pendingLines;
+    pendingLines = [];
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, lines.join(""), "utf-8");
+    logLines += lines.length;
+  }
+
+  function queueWrite() {
+    writeQueue = writeQueue.then(writeChanges).catch((err) => {
+      log.error("Failed to write store file", { file: path.basename(filePath), err });
+    });
+    return writeQueue;
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(queueWrite, WRITE_DELAY_MS);
+    // Shutdown flushes; a pending write alone shouldn't keep the process up
+    writeTimer.unref?.();
+  }
+
+  return {
+    ...memory,
+
+    /**
+     * Reads the file, skipping entries whose deadline has passed
+     * A corrupt file is moved aside so it can be inspected later.
+     */
+    async load() {
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, "utf-8");
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        return;
+      }
+
+      let records;
+      try {
+        records = format === "ndjson" ? parseLog(raw) : parseObject(raw);
+      } catch (err) {
+        log.error("Corrupt store file, starting fresh", {
+          file: path.basename(filePath),
+          err,
+        });
+        const backupPath = `${filePath}.corrupt-${Date.now()}`;
+        await fs.rename(filePath, backupPath).catch(() => {});
+        return;
+      }
+
+      const now = Date.now();
+      loading = true;
+      try {
+        for (const record of records) {
+          if (record.op === "set") {
+            memory.set(record.key, record.value);
+            memory.expire(record.key, record.expiresAt && record.expiresAt - now);
+          } else if (record.op === "expire") {
+            memory.expire(record.key, record.expiresAt && record.expiresAt - now);
+          } else if (record.op === "delete") {
+            memory.delete(record.key);
+          }
+        }
+
+        memory
+          .list()
+          .filter(({ expiresAt }) => expiresAt !== null && expiresAt <= now)
+          .forEach(({ key }) => memory.delete(key));
+      } finally {
+        loading = false;
+      }
+
+      // Start from a compact file without the stale entries
+      logLines = records.length;
+      rewrite = true;
+      await queueWrite();
+    },
+
+    // Writes whatever is pending now instead of after the delay
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        await queueWrite();
+      }
+      await writeQueue;
+    },
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * A key-value store for server state (games, rooms)
+ * Reads are answered from memory, so game code can stay synchronous;
+ * stores that persist (files now, a network service later) write in
+ * the background and `flush` waits until they have.
+ *
+ * An entry's deadline (`expiresAt`) is only a note: entries stay
+ * readable until their owner deletes them, so it can still tell
+ * players why a game went away. Persistent stores skip entries whose
+ * deadline passed while the server was down.
+ *
+ * @typedef {object} Store
+ * @property {function(string): *} get - Value of a key, or null
+ * @property {function(string, *, number=): void} set - Store a value,
+ *   optionally with a time to live in ms (no ttl: keep until deleted)
+ * @property {function(string): boolean} delete - Remove a key
+ * @property {function(): object[]} list - { key, value, expiresAt } per entry
+ * @property {function(string, number|null): boolean} expire - Set a key's
+ *   time to live in ms (null: keep until deleted)
+ * @property {function(): Promise<void>} load - Read persisted entries
+ * @property {function(): Promise<void>} flush - Wait for pending writes
+ */
+
+function toDeadline(ttlMs) {
+  return ttlMs === null || ttlMs === undefined ? null : Date.now() + ttlMs;
+}
+
+/**
+ * Creates a store that lives and dies with the process
+ * @param {function} onChange - Optional, called with a change record
+ *   ({ op: "set" | "expire" | "delete", key, value?, expiresAt? })
+ *   after every write; persistent stores build on this
+ * @returns {Store}
+ */
+export default function createMemoryStore(onChange = () => {}) {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+
+  return {
+    get(key) {
+      return entries.get(key)?.value ?? null;
+    },
+
+    set(key, value, ttlMs = null) {
+      const expiresAt = toDeadline(ttlMs);
+      entries.set(key, { value, expiresAt });
+      onChange({ op: "set", key, value, expiresAt });
+    },
+
+    delete(key) {
+      if (!entries.delete(key)) return false;
+      onChange({ op: "delete", key });
+      return true;
+    },
+
+    list() {
+      return [...entries].map(([key, { value, expiresAt }]) => ({
+        key,
+        value,
+        expiresAt,
+      }));
+    },
+
+    expire(key, ttlMs) {
+      const entry = entries.get(key);
+      if (!entry) return false;
+
+      entry.expiresAt = toDeadline(ttlMs);
+      onChange({ op: "expire", key, expiresAt: entry.expiresAt });
+      return true;
+    },
+
+    async load() {},
+
+    async flush() {},
+  };
+}
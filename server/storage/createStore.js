@@ -0,0 +1,33 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import createMemoryStore from "./createMemoryStore.js";
+import createFileStore, { FILE_FORMATS } from "./createFileStore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, "../../data");
+
+// Backends to choose from (GAME_STORE in the environment)
+export const STORE_BACKENDS = ["memory", ...FILE_FORMATS];
+export const DEFAULT_STORE_BACKEND = "json";
+
+/**
+ * Creates a store with the chosen backend
+ * File stores are named after what they hold: data/<name>.<backend>
+ * @param {string} name - e.g. "games"
+ * @param {string} backend - One of STORE_BACKENDS
+ * @returns {import("./createMemoryStore.js").Store}
+ */
+export default function createStore(name, backend = DEFAULT_STORE_BACKEND) {
+  if (!STORE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown store backend "${backend}", use one of: ${STORE_BACKENDS.join(", ")}`,
+    );
+  }
+
+  if (backend === "memory") {
+    return createMemoryStore();
+  }
+  return createFileStore(path.join(DATA_DIR, `${name}.${backend}`), backend);
+}
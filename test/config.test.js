@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig, ConfigError, DEFAULT_CONFIG } from "../server/config.js";
+
+function writeConfig(settings) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+  const file = path.join(dir, "config.json");
+  fs.writeFileSync(file, JSON.stringify(settings));
+  return file;
+}
+
+// The problems loadConfig reports, or [] when it succeeds
+function problemsOf(options) {
+  try {
+    loadConfig(options);
+    return [];
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.problems;
+  }
+}
+
+test("without a file or environment the defaults apply", () => {
+  const config = loadConfig({ file: writeConfig({}), env: {} });
+
+  assert.deepEqual(config, DEFAULT_CONFIG);
+  assert.ok(Object.isFrozen(config.board.difficulties.easy));
+});
+
+test("the file replaces defaults and the environment wins over both", () => {
+  const file = writeConfig({ server: { port: 9000, workers: 2 } });
+  const config = loadConfig({
+    file,
+    env: {
+      PORT: "9100",
+      FEATURE_REST_API: "false",
+      MAX_PLAYERS: "2",
+      PLAYER_COLORS: "red, blue",
+    },
+  });
+
+  assert.equal(config.server.port, 9100);
+  assert.equal(config.server.workers, 2);
+  assert.equal(config.features.restApi, false);
+  assert.deepEqual(config.game.playerColors, ["red", "blue"]);
+  assert.equal(config.game.maxPlayers, 2);
+});
+
+test("a config file that was asked for has to exist", () => {
+  const file = path.join(os.tmpdir(), `missing-${process.pid}.json`);
+  assert.match(problemsOf({ file, env: {} })[0], /Could not read/);
+});
+
+test("bad values say where they were set", () => {
+  const file = writeConfig({ game: { revealDelayMs: "slow" } });
+  const problems = problemsOf({ file, env: { PORT: "http" } });
+
+  assert.equal(problems.length, 2);
+  const [serverProblem] = problems.filter((p) => p.startsWith("server"));
+  const [gameProblem] = problems.filter((p) => p.startsWith("game"));
+  assert.match(serverProblem, /\(set in PORT\)/);
+  assert.match(gameProblem, /\(set in config\.json\)/);
+});
+
+test("unknown sections and settings are rejected", () => {
+  const file = writeConfig({ nope: {} });
+  assert.equal(problemsOf({ file, env: {} }).length, 1);
+  assert.match(
+    problemsOf({ file: writeConfig({ server: { prot: 1 } }), env: {} })[0],
+    /Unknown field: prot/,
+  );
+});
+
+test("settings that contradict each other are rejected", () => {
+  const problems = problemsOf({
+    file: writeConfig({
+      board: { maxSize: 6, dailyDifficulty: "impossible" },
+      game: { minPlayers: 3, maxPlayers: 2, cardValues: ["A", "B"] },
+    }),
+    env: {},
+  });
+
+  assert.ok(problems.some((p) => p.includes("minPlayers")));
+  assert.ok(problems.some((p) => p.includes("cardValues")));
+  assert.ok(problems.some((p) => p.includes("dailyDifficulty")));
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import * as highscores from "../server/highscores.js";
+
+let file;
+
+beforeEach(async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "highscores-"));
+  file = path.join(dir, "highscores.json");
+  highscores.setHighscoreFile(file);
+});
+
+function makeGame(moves, changes = {}) {
+  return {
+    gameId: `game-${moves}`,
+    rows: 4,
+    cols: 4,
+    seed: "seed",
+    moves,
+    createdAt: 0,
+    finishedAt: moves * 1000,
+    players: [
+      { color: "red", score: 5 },
+      { color: "blue", score: 3 },
+    ],
+    ...changes,
+  };
+}
+
+test("records a game and lists it best first", async () => {
+  await highscores.recordGame(makeGame(20));
+  const record = await highscores.recordGame(makeGame(12));
+
+  assert.equal(record.mode, "4x4");
+  assert.equal(record.winner, "red");
+  assert.equal(record.durationMs, 12000);
+
+  const scores = await highscores.getHighscores({ mode: "4x4" });
+  assert.deepEqual(
+    scores.map((s) => s.moves),
+    [12, 20],
+  );
+});
+
+test("keeps draws and filters by mode and player count", async () => {
+  await highscores.recordGame(
+    makeGame(10, {
+      players: [
+        { color: "red", score: 4 },
+        { color: "blue", score: 4 },
+      ],
+    }),
+  );
+  await highscores.recordGame(
+    makeGame(8, { players: [{ color: "red", score: 8 }] }),
+  );
+  await highscores.recordGame(makeGame(9, { rows: 2, cols: 2 }));
+  await highscores.recordGame(makeGame(9, { dailyDate: "2024-05-01" }));
+
+  const pairs = await highscores.getHighscores({ playerCount: 2, mode: "4x4" });
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].winner, null);
+
+  const daily = await highscores.getHighscores({ mode: "daily-2024-05-01" });
+  assert.equal(daily.length, 1);
+});
+
+test("games recorded while the file loads are all kept", async () => {
+  await fs.writeFile(
+    file,
+    JSON.stringify([{ mode: "4x4", moves: 30, durationMs: 0 }]),
+  );
+  highscores.setHighscoreFile(file);
+
+  await Promise.all(
+    [5, 6, 7].map((moves) => highscores.recordGame(makeGame(moves))),
+  );
+
+  const stored = JSON.parse(await fs.readFile(file, "utf-8"));
+  assert.deepEqual(
+    stored.map((s) => s.moves).sort((a, b) => a - b),
+    [5, 6, 7, 30],
+  );
+});
+
+test("a corrupt file is moved aside and the store starts fresh", async () => {
+  await fs.writeFile(file, "{ not json");
+  highscores.setHighscoreFile(file);
+
+  assert.deepEqual(await highscores.getHighscores(), []);
+
+  const files = await fs.readdir(path.dirname(file));
+  assert.ok(files.some((name) => name.startsWith("highscores.json.corrupt-")));
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffGameStates } from "../utils/statePatches.js";
+import { applyStatePatch } from "../public/js/statePatches.js";
+
+function makeView(changes = {}) {
+  return {
+    gameId: "g1",
+    status: "playing",
+    moves: 0,
+    activePlayerIndex: 0,
+    cards: [
+      { id: "c1", isFaceUp: false, isMatched: false },
+      { id: "c2", isFaceUp: false, isMatched: false },
+      { id: "c3", isFaceUp: false, isMatched: false },
+      { id: "c4", isFaceUp: false, isMatched: false },
+    ],
+    players: [
+      { id: "p1", color: "red", score: 0 },
+      { id: "p2", color: "blue", score: 0 },
+    ],
+    ...changes,
+  };
+}
+
+function withCards(view, changesById) {
+  return {
+    ...view,
+    cards: view.cards.map((card) => {
+      const next = { ...card, ...changesById[card.id] };
+      if (!next.isFaceUp) delete next.value;
+      return next;
+    }),
+  };
+}
+
+// What the server diffs, the client must be able to rebuild
+function assertRoundTrip(previous, next) {
+  const patches = diffGameStates(previous, next);
+  assert.ok(patches, "expected patches, not a snapshot");
+  assert.deepEqual(applyStatePatch(previous, patches).state, next);
+  return patches;
+}
+
+test("a revealed card round-trips with its value", () => {
+  const previous = makeView();
+  const next = withCards(previous, { c1: { isFaceUp: true, value: "A" } });
+
+  const patches = assertRoundTrip(previous, next);
+  assert.deepEqual(patches, [{ type: "reveal", cardId: "c1", value: "A" }]);
+});
+
+test("a match, score and turn round-trip", () => {
+  const previous = withCards(makeView(), {
+    c1: { isFaceUp: true, value: "A" },
+  });
+  const next = {
+    ...withCards(previous, {
+      c1: { isMatched: true },
+      c2: { isFaceUp: true, isMatched: true, value: "A" },
+    }),
+    moves: 1,
+    players: [
+      { id: "p1", color: "red", score: 1 },
+      { id: "p2", color: "blue", score: 0 },
+    ],
+  };
+
+  assertRoundTrip(previous, next);
+});
+
+test("hidden cards lose their value on the client too", () => {
+  const previous = {
+    ...withCards(makeView(), {
+      c1: { isFaceUp: true, value: "A" },
+      c3: { isFaceUp: true, value: "B" },
+    }),
+    activePlayerIndex: 0,
+  };
+  const next = {
+    ...withCards(previous, {
+      c1: { isFaceUp: false },
+      c3: { isFaceUp: false },
+    }),
+    activePlayerIndex: 1,
+  };
+
+  const patches = assertRoundTrip(previous, next);
+  assert.ok(patches.some((patch) => patch.type === "hide"));
+  const { state } = applyStatePatch(previous, patches);
+  assert.ok(state.cards.every((card) => !("value" in card)));
+});
+
+test("other top-level fields travel as a fields patch", () => {
+  const previous = makeView();
+  const next = { ...previous, status: "won", seed: "abc" };
+
+  const patches = assertRoundTrip(previous, next);
+  assert.deepEqual(patches, [
+    { type: "fields", fields: { status: "won", seed: "abc" } },
+  ]);
+});
+
+test("changes patches can't express need a snapshot", () => {
+  const previous = makeView();
+
+  assert.equal(diffGameStates(previous, { ...previous, gameId: "g2" }), null);
+  assert.equal(
+    diffGameStates(previous, { ...previous, cards: previous.cards.slice(1) }),
+    null,
+  );
+  assert.equal(
+    diffGameStates(previous, {
+      ...previous,
+      players: [
+        { ...previous.players[0], color: "green" },
+        previous.players[1],
+      ],
+    }),
+    null,
+  );
+});
+
+test("applying patches leaves the previous state untouched", () => {
+  const previous = makeView();
+  const snapshot = structuredClone(previous);
+  const next = withCards(previous, { c2: { isFaceUp: true, value: "B" } });
+
+  applyStatePatch(previous, diffGameStates(previous, next));
+  assert.deepEqual(previous, snapshot);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTokenBucket,
+  getWaitMs,
+  takeToken,
+  isFull,
+} from "../utils/tokenBucket.js";
+
+const LIMIT = { burst: 2, perMinute: 60 }; // one token a second
+
+test("a new bucket allows a burst, then asks to wait", () => {
+  const bucket = createTokenBucket(LIMIT, 0);
+
+  assert.equal(takeToken(bucket, 0), 0);
+  assert.equal(takeToken(bucket, 0), 0);
+  assert.equal(takeToken(bucket, 0), 1000);
+});
+
+test("tokens come back over time, up to the burst", () => {
+  const bucket = createTokenBucket(LIMIT, 0);
+  takeToken(bucket, 0);
+  takeToken(bucket, 0);
+
+  assert.equal(takeToken(bucket, 250), 750);
+  assert.equal(takeToken(bucket, 1000), 0);
+  assert.equal(isFull(bucket, 1000), false);
+  assert.equal(isFull(bucket, 60000), true);
+  assert.equal(bucket.tokens, LIMIT.burst);
+});
+
+test("getWaitMs looks without taking", () => {
+  const bucket = createTokenBucket({ burst: 1, perMinute: 60 }, 0);
+
+  assert.equal(getWaitMs(bucket, 0), 0);
+  assert.equal(getWaitMs(bucket, 0), 0);
+  assert.equal(takeToken(bucket, 0), 0);
+  assert.equal(getWaitMs(bucket, 0), 1000);
+});
+
+test("a clock going backwards doesn't add tokens", () => {
+  const bucket = createTokenBucket({ burst: 1, perMinute: 60 }, 5000);
+  takeToken(bucket, 5000);
+
+  assert.equal(getWaitMs(bucket, 0), 1000);
+});
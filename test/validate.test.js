@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  registerMessage,
+  getSchema,
+  parseMessage,
+  validateFields,
+  MAX_MESSAGE_BYTES,
+  VALIDATION_ERRORS,
+} from "../utils/validate.js";
+
+registerMessage("TEST_FLIP", {
+  cardId: { type: "string", required: true, maxLength: 8 },
+  count: { type: "integer", min: 1, max: 3 },
+  color: { type: "string", values: ["red", "blue"] },
+  tags: { type: "array", maxItems: 2, items: { type: "string" } },
+});
+
+test("parseMessage accepts a message that fits its schema", () => {
+  const result = parseMessage(
+    JSON.stringify({ type: "TEST_FLIP", cardId: "c1", count: 2, tags: ["a"] }),
+  );
+  assert.equal(result.valid, true);
+  assert.equal(result.message.cardId, "c1");
+});
+
+test("parseMessage rejects frames that aren't a JSON object", () => {
+  assert.equal(parseMessage("{nope").code, VALIDATION_ERRORS.INVALID_JSON);
+  assert.equal(parseMessage("[1, 2]").code, VALIDATION_ERRORS.INVALID_JSON);
+  assert.equal(parseMessage("null").code, VALIDATION_ERRORS.INVALID_JSON);
+});
+
+test("parseMessage rejects frames over the size limit", () => {
+  const result = parseMessage("x".repeat(MAX_MESSAGE_BYTES + 1));
+  assert.equal(result.code, VALIDATION_ERRORS.MESSAGE_TOO_LARGE);
+});
+
+test("parseMessage names the type of a message it rejects", () => {
+  const unknown = parseMessage(JSON.stringify({ type: "NOPE" }));
+  assert.equal(unknown.code, VALIDATION_ERRORS.UNKNOWN_TYPE);
+  assert.equal(unknown.messageType, "NOPE");
+
+  const missing = parseMessage(JSON.stringify({ type: "TEST_FLIP" }));
+  assert.equal(missing.code, VALIDATION_ERRORS.MISSING_FIELD);
+  assert.equal(missing.field, "cardId");
+  assert.equal(missing.messageType, "TEST_FLIP");
+});
+
+test("validateFields rejects unknown fields", () => {
+  const result = validateFields(getSchema("TEST_FLIP"), {
+    cardId: "c1",
+    extra: true,
+  });
+  assert.equal(result.code, VALIDATION_ERRORS.UNKNOWN_FIELD);
+  assert.equal(result.field, "extra");
+});
+
+test("validateFields checks types, ranges, lengths and allowed values", () => {
+  const fields = getSchema("TEST_FLIP");
+  const check = (values) => validateFields(fields, { cardId: "c1", ...values });
+  const { INVALID_TYPE, INVALID_VALUE } = VALIDATION_ERRORS;
+
+  assert.equal(check({ count: "2" }).code, INVALID_TYPE);
+  assert.equal(check({ count: 1.5 }).code, INVALID_TYPE);
+  assert.equal(check({ count: 4 }).code, INVALID_VALUE);
+  assert.equal(check({ cardId: "c".repeat(9) }).code, INVALID_VALUE);
+  assert.equal(check({ color: "green" }).code, INVALID_VALUE);
+  assert.equal(check({ tags: ["a", "b", "c"] }).code, INVALID_VALUE);
+  assert.equal(check({ tags: [1] }).field, "tags[0]");
+  // Optional fields may be sent as null
+  assert.equal(check({ count: null }).valid, true);
+});
+
+test("getSchema asks a schema function on every call", () => {
+  let max = 2;
+  registerMessage("TEST_LIMITED", () => ({
+    count: { type: "integer", max },
+  }));
+
+  assert.equal(parseMessage('{"type":"TEST_LIMITED","count":3}').valid, false);
+  max = 3;
+  assert.equal(parseMessage('{"type":"TEST_LIMITED","count":3}').valid, true);
+});
@@ -1,81 +1,376 @@
+import { getBoardSizeError } from "../server/game/createGameState.js";
+import getDailyChallenge from "../server/game/dailyChallenge.js";
+import { BOT_DIFFICULTIES } from "../server/botManager.js";
+import { getConfig } from "../server/config.js";
+import { registerMessage } from "./validate.js";
 
-// ===== SANITIZATION FUNCTIONS =====
+// Seeds are short strings or whole numbers
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
-/**
- * Sanitizes game state for client
- * CRITICAL: Removes card values to prevent cheating
- * 
- * @param {object} gameState - Full server game state
- * @returns {object} Sanitized state safe for client
- */
-export function sanitizeGameState(gameState) {
-  // Sanitize cards - include value ONLY when face up
-  const sanitizedCards = gameState.cards.map((card) => {
-    // Check if card is face up (either flipped or matched)
-    const isFaceUp = gameState.flippedCardIds.includes(card.id) || card.isMatched;
-    
-    const sanitizedCard = {
-      id: card.id,
-      isFaceUp: isFaceUp,
-      isMatched: card.isMatched
-    };
-    
-    // Only reveal value when card is face up
-    if (isFaceUp) {
-      sanitizedCard.value = card.value;
-    }
-    
-    return sanitizedCard;
-  });
+// Allowed "beat the clock" limits, in seconds
+const MIN_TIME_LIMIT_SEC = 10;
+const MAX_TIME_LIMIT_SEC = 60 * 60;
+
+// Allowed per-turn limits, in seconds
+const MIN_TURN_LIMIT_SEC = 5;
+const MAX_TURN_LIMIT_SEC = 5 * 60;
+
+// ===== MESSAGE SCHEMAS =====
+// Field types and ranges are checked by utils/validate.js before any
+// validate* function below runs, so those only add the rules that
+// span several fields.
+
+const ID_FIELD = { type: "string", maxLength: 64 };
+
+registerMessage("HELLO", {
+  protocolVersion: { type: "integer", required: true, min: 1 },
+  features: {
+    type: "array",
+    maxItems: 32,
+    items: { type: "string", maxLength: 32 },
+  },
+});
+
+// The NEW_GAME fields that don't depend on the server config
+const NEW_GAME_FIELDS = {
+  seed: { type: ["string", "integer"], maxLength: 64 },
+  daily: { type: "boolean" },
+  timeLimitSec: {
+    type: "integer",
+    min: MIN_TIME_LIMIT_SEC,
+    max: MAX_TIME_LIMIT_SEC,
+  },
+  turnLimitSec: {
+    type: "integer",
+    min: MIN_TURN_LIMIT_SEC,
+    max: MAX_TURN_LIMIT_SEC,
+  },
+};
+
+// Player counts and board limits come from the server config, so the
+// full schema is built when a message is checked
+function getNewGameFields() {
+  const { game, board } = getConfig();
 
-  // Players are already safe to send (no secret data)
   return {
-    gameId: gameState.gameId,
-    cards: sanitizedCards,
-    players: gameState.players,
-    activePlayerIndex: gameState.activePlayerIndex,
-    status: gameState.status
-    // lockBoard is intentionally excluded - server handles this
-    // flippedCardIds is intentionally excluded - derived from isFaceUp
+    playerCount: {
+      type: "integer",
+      required: true,
+      min: game.minPlayers,
+      max: game.maxPlayers,
+    },
+    difficulty: { type: "string", values: Object.keys(board.difficulties) },
+    rows: { type: "integer", min: board.minSize, max: board.maxSize },
+    cols: { type: "integer", min: board.minSize, max: board.maxSize },
+    ...NEW_GAME_FIELDS,
+    bots: {
+      type: "array",
+      maxItems: game.maxPlayers,
+      items: { type: "string", values: Object.keys(BOT_DIFFICULTIES) },
+    },
   };
 }
 
+registerMessage("NEW_GAME", getNewGameFields);
+registerMessage("CREATE_ROOM", getNewGameFields);
+
+registerMessage("JOIN_ROOM", () => ({
+  roomCode: { type: "string", required: true, maxLength: 16 },
+  playerIndex: {
+    type: "integer",
+    min: 0,
+    max: getConfig().game.maxPlayers - 1,
+  },
+}));
+
+registerMessage("RESUME", {
+  sessionToken: { ...ID_FIELD, required: true },
+});
+
+registerMessage("SPECTATE", {
+  roomCode: { type: "string", maxLength: 16 },
+  gameId: ID_FIELD,
+});
+
+registerMessage("STOP_SPECTATING");
+
+registerMessage("RESYNC", {
+  gameId: { ...ID_FIELD, required: true },
+});
+
+registerMessage("FLIP_CARD", {
+  gameId: { ...ID_FIELD, required: true },
+  cardId: { ...ID_FIELD, required: true },
+  sessionToken: ID_FIELD,
+  // Repeats of the same request get the first reply again
+  requestId: { type: "string", required: true, pattern: /^[\w:-]{1,64}$/ },
+});
+
+registerMessage("GET_HIGHSCORES", () => ({
+  mode: { type: "string", pattern: /^(\d+x\d+|daily|daily-\d{4}-\d{2}-\d{2})$/ },
+  playerCount: {
+    type: "integer",
+    min: getConfig().game.minPlayers,
+    max: getConfig().game.maxPlayers,
+  },
+}));
+
+registerMessage("GET_REPLAY", {
+  gameId: { ...ID_FIELD, required: true },
+});
+
+// ===== VALIDATION FUNCTIONS =====
+
+// Treats null like a field that was left out
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
 /**
  * Validates incoming NEW_GAME message
- * @param {object} message - Raw message from client
- * @returns {object} { valid: boolean, error?: string, playerCount?: number }
+ * Board size comes from either `difficulty` or explicit `rows` + `cols`.
+ * Without either, the default difficulty is used. An optional `seed`
+ * makes the shuffle reproducible; `daily: true` starts today's
+ * Daily Challenge, which fixes both the board and the seed.
+ * `timeLimitSec` turns on "beat the clock" mode, `turnLimitSec` passes
+ * the turn on when the active player takes too long. `bots` lists a bot
+ * difficulty (or null for a human) per player slot. Bots and the Daily
+ * Challenge are refused when the server config turns them off.
+ * @param {object} message - Message that passed the NEW_GAME schema
+ * @returns {object} { valid: boolean, error?: string, playerCount?: number, board?: object }
  */
 export function validateNewGame(message) {
-  if (!message.playerCount) {
-    return { valid: false, error: "Missing playerCount" };
+  const count = message.playerCount;
+  const timeLimitMs = isSet(message.timeLimitSec)
+    ? message.timeLimitSec * 1000
+    : null;
+  const turnLimitMs = isSet(message.turnLimitSec)
+    ? message.turnLimitSec * 1000
+    : null;
+
+  const { features } = getConfig();
+  if (!features.bots && message.bots?.some((level) => level !== null)) {
+    return { valid: false, error: "Bots are turned off on this server" };
+  }
+  if (!features.daily && message.daily) {
+    return {
+      valid: false,
+      error: "The Daily Challenge is turned off on this server",
+    };
   }
 
-  const count = parseInt(message.playerCount);
-  
-  if (isNaN(count) || count < 1 || count > 4) {
-    return { valid: false, error: "playerCount must be between 1 and 4" };
+  const bots = validateBots(message.bots, count);
+  if (bots.error) {
+    return { valid: false, error: bots.error };
   }
 
-  return { valid: true, playerCount: count };
+  if (message.daily) {
+    if (
+      isSet(message.seed) ||
+      isSet(message.difficulty) ||
+      isSet(message.rows) ||
+      isSet(message.cols)
+    ) {
+      return {
+        valid: false,
+        error: "The Daily Challenge has a fixed board and seed",
+      };
+    }
+
+    const daily = getDailyChallenge();
+    return {
+      valid: true,
+      playerCount: count,
+      board: {
+        difficulty: daily.difficulty,
+        seed: daily.seed,
+        dailyDate: daily.date,
+        timeLimitMs,
+        turnLimitMs,
+        bots: bots.slots,
+      },
+    };
+  }
+
+  const board = validateBoard(message);
+  if (board.error) {
+    return { valid: false, error: board.error };
+  }
+
+  if (isSet(message.seed)) {
+    const seed = String(message.seed);
+    if (!SEED_PATTERN.test(seed)) {
+      return {
+        valid: false,
+        error: "seed must be 1-64 letters, digits, '-' or '_'",
+      };
+    }
+    board.options.seed = seed;
+  }
+
+  board.options.timeLimitMs = timeLimitMs;
+  board.options.turnLimitMs = turnLimitMs;
+  board.options.bots = bots.slots;
+
+  return { valid: true, playerCount: count, board: board.options };
 }
 
 /**
- * Validates incoming FLIP_CARD message
- * @param {object} message - Raw message from client
- * @returns {object} { valid: boolean, error?: string, gameId?: string, cardId?: string }
+ * Reads the `bots` field of a NEW_GAME message
+ * @param {Array|undefined} bots - e.g. [null, "medium"]: slot 2 is a medium bot
+ * @param {number} playerCount - Number of player slots
+ * @returns {object} { error?: string, slots?: Array<string|null> }
  */
-export function validateFlipCard(message) {
-  if (!message.gameId) {
-    return { valid: false, error: "Missing gameId" };
+function validateBots(bots, playerCount) {
+  if (!isSet(bots)) {
+    return { slots: new Array(playerCount).fill(null) };
+  }
+
+  if (bots.length > playerCount) {
+    return { error: "bots must be a list with one entry per player" };
+  }
+
+  const slots = Array.from({ length: playerCount }, (_, i) => bots[i] ?? null);
+
+  // Someone has to be at the table
+  if (slots.every((level) => level !== null)) {
+    return { error: "At least one player must be human" };
+  }
+
+  return { slots };
+}
+
+/**
+ * Reads the board size fields of a NEW_GAME message
+ * @param {object} message - Message that passed the NEW_GAME schema
+ * @returns {object} { error?: string, options?: object } - options for createGameState
+ */
+function validateBoard(message) {
+  const hasGrid = isSet(message.rows) || isSet(message.cols);
+
+  if (isSet(message.difficulty) && hasGrid) {
+    return { error: "Send either difficulty or rows/cols, not both" };
+  }
+
+  if (isSet(message.difficulty)) {
+    return { options: { difficulty: message.difficulty } };
   }
 
-  if (!message.cardId) {
-    return { valid: false, error: "Missing cardId" };
+  if (hasGrid) {
+    const { rows, cols } = message;
+    const error = getBoardSizeError(rows, cols);
+    if (error) {
+      return { error };
+    }
+    return { options: { rows, cols } };
   }
 
-  return { 
-    valid: true, 
+  return { options: {} };
+}
+
+/**
+ * Validates incoming FLIP_CARD message
+ * `sessionToken` (the player's secret) is checked against the room later.
+ * @param {object} message - Message that passed the FLIP_CARD schema
+ * @returns {object} { valid: boolean, gameId?: string, cardId?: string, sessionToken?: string|null, requestId?: string }
+ */
+export function validateFlipCard(message) {
+  return {
+    valid: true,
     gameId: message.gameId,
-    cardId: message.cardId
+    cardId: message.cardId,
+    sessionToken: message.sessionToken ?? null,
+    requestId: message.requestId,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Validates incoming GET_HIGHSCORES message
+ * `mode` is a board size like "4x4", a Daily Challenge bucket like
+ * "daily-2024-05-01", or "daily" for today's challenge.
+ * @param {object} message - Message that passed the GET_HIGHSCORES schema
+ * @returns {object} { valid: boolean, mode?: string, bucket?: string, playerCount?: number }
+ */
+export function validateGetHighscores(message) {
+  const result = { valid: true };
+
+  if (isSet(message.mode)) {
+    result.mode = message.mode;
+    // The stored bucket for "daily" is today's date
+    result.bucket =
+      message.mode === "daily"
+        ? `daily-${getDailyChallenge().date}`
+        : message.mode;
+  }
+
+  if (isSet(message.playerCount)) {
+    result.playerCount = message.playerCount;
+  }
+
+  return result;
+}
+
+/**
+ * Validates incoming JOIN_ROOM message
+ * Without a playerIndex the first free seat is taken.
+ * @param {object} message - Message that passed the JOIN_ROOM schema
+ * @returns {object} { valid: boolean, error?: string, roomCode?: string, playerIndex?: number }
+ */
+export function validateJoinRoom(message) {
+  const roomCode = message.roomCode.trim();
+  if (!roomCode) {
+    return { valid: false, error: "Missing roomCode" };
+  }
+
+  const result = { valid: true, roomCode };
+  if (isSet(message.playerIndex)) {
+    result.playerIndex = message.playerIndex;
+  }
+
+  return result;
+}
+
+/**
+ * Validates incoming SPECTATE message
+ * Games are found by room code, or by gameId for local games.
+ * @param {object} message - Message that passed the SPECTATE schema
+ * @returns {object} { valid: boolean, error?: string, roomCode?: string, gameId?: string }
+ */
+export function validateSpectate(message) {
+  if (message.roomCode?.trim()) {
+    return { valid: true, roomCode: message.roomCode.trim() };
+  }
+
+  if (message.gameId) {
+    return { valid: true, gameId: message.gameId };
+  }
+
+  return { valid: false, error: "Missing roomCode or gameId" };
+}
+
+/**
+ * Validates incoming GET_REPLAY message
+ * @param {object} message - Message that passed the GET_REPLAY schema
+ * @returns {object} { valid: boolean, gameId?: string }
+ */
+export function validateGetReplay(message) {
+  return { valid: true, gameId: message.gameId };
+}
+
+/**
+ * Validates incoming RESUME message
+ * @param {object} message - Message that passed the RESUME schema
+ * @returns {object} { valid: boolean, sessionToken?: string }
+ */
+export function validateResume(message) {
+  return { valid: true, sessionToken: message.sessionToken };
+}
+
+/**
+ * Validates incoming RESYNC message
+ * @param {object} message - Message that passed the RESYNC schema
+ * @returns {object} { valid: boolean, gameId?: string }
+ */
+export function validateResync(message) {
+  return { valid: true, gameId: message.gameId };
+}
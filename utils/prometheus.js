@@ -0,0 +1,40 @@
+// Renders metrics in the Prometheus text exposition format (0.0.4),
+// small enough that the server needs no client library for it.
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Formats a list of metrics
+ * @param {object[]} metrics - { name, help, type, samples } where each
+ *   sample is { value, labels?, suffix? } (suffix e.g. "_sum" for summaries)
+ * @returns {string} Exposition text, one sample per line
+ */
+export function formatMetrics(metrics) {
+  const lines = [];
+
+  for (const { name, help, type, samples } of metrics) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const sample of samples) {
+      lines.push(
+        `${name}${sample.suffix ?? ""}${formatLabels(sample.labels)} ${sample.value}`,
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,99 @@
+// Turns two consecutive client views of a game into a list of patches,
+// so a broadcast only carries what changed instead of the whole board.
+// Every patch holds absolute values ("card 5 is now face up"), never
+// relative ones, so applying one twice does no harm.
+
+// Fields handled by dedicated patch types; everything else is "fields"
+const TRACKED_FIELDS = new Set(["cards", "players", "activePlayerIndex"]);
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Players only ever change their score mid-game
+function samePlayerExceptScore(a, b) {
+  return sameValue({ ...a, score: 0 }, { ...b, score: 0 });
+}
+
+/**
+ * Lists the changes between two client views of the same game
+ * Patch types:
+ *   { type: "reveal", cardId, value }     - a card was turned face up
+ *   { type: "match", cardIds }            - cards were matched
+ *   { type: "hide", cardIds }             - cards were turned face down
+ *   { type: "score", playerIndex, score } - a player's score changed
+ *   { type: "turn", activePlayerIndex }   - the turn passed on
+ *   { type: "fields", fields }            - any other top-level field
+ * @param {object} previous - View sent in the last broadcast
+ * @param {object} next - View about to be sent
+ * @returns {object[]|null} Patches in the order to apply them, or null
+ *   when the change can't be expressed as patches (send a snapshot)
+ */
+export function diffGameStates(previous, next) {
+  if (
+    previous.gameId !== next.gameId ||
+    previous.cards.length !== next.cards.length ||
+    previous.players.length !== next.players.length
+  ) {
+    return null;
+  }
+
+  const patches = [];
+  const matched = [];
+  const hidden = [];
+
+  for (let i = 0; i < next.cards.length; i++) {
+    const before = previous.cards[i];
+    const after = next.cards[i];
+
+    // Cards never move or come back into play during a game
+    if (before.id !== after.id || (before.isMatched && !after.isMatched)) {
+      return null;
+    }
+
+    if (after.isFaceUp && !before.isFaceUp) {
+      patches.push({ type: "reveal", cardId: after.id, value: after.value });
+    } else if (!after.isFaceUp && before.isFaceUp) {
+      hidden.push(after.id);
+    }
+
+    if (after.isMatched && !before.isMatched) {
+      matched.push(after.id);
+    }
+  }
+
+  if (matched.length > 0) patches.push({ type: "match", cardIds: matched });
+  if (hidden.length > 0) patches.push({ type: "hide", cardIds: hidden });
+
+  for (let i = 0; i < next.players.length; i++) {
+    const before = previous.players[i];
+    const after = next.players[i];
+
+    if (!samePlayerExceptScore(before, after)) return null;
+
+    if (before.score !== after.score) {
+      patches.push({ type: "score", playerIndex: i, score: after.score });
+    }
+  }
+
+  if (previous.activePlayerIndex !== next.activePlayerIndex) {
+    patches.push({
+      type: "turn",
+      activePlayerIndex: next.activePlayerIndex,
+    });
+  }
+
+  // Status, moves, clocks, seats, spectators...
+  const fields = {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of keys) {
+    if (!TRACKED_FIELDS.has(key) && !sameValue(previous[key], next[key])) {
+      fields[key] = next[key] ?? null;
+    }
+  }
+  if (Object.keys(fields).length > 0) {
+    patches.push({ type: "fields", fields });
+  }
+
+  return patches;
+}
@@ -0,0 +1,56 @@
+// Token buckets for rate limiting: a bucket holds up to `burst` tokens
+// and regains `perMinute` of them per minute. Every action takes one;
+// an empty bucket means "not now". Refilling is worked out when the
+// bucket is used, so idle buckets cost nothing.
+
+/**
+ * Creates a full bucket
+ * @param {object} limit - { burst, perMinute }
+ * @param {number} now - Current time (for tests)
+ * @returns {object} The bucket
+ */
+export function createTokenBucket({ burst, perMinute }, now = Date.now()) {
+  return { burst, perMinute, tokens: burst, updatedAt: now };
+}
+
+function refill(bucket, now) {
+  const elapsedMs = Math.max(0, now - bucket.updatedAt);
+  bucket.tokens = Math.min(
+    bucket.burst,
+    bucket.tokens + (elapsedMs * bucket.perMinute) / 60000,
+  );
+  bucket.updatedAt = now;
+}
+
+/**
+ * How long until a token is available, without taking it
+ * @param {object} bucket - Bucket from createTokenBucket
+ * @param {number} now - Current time (for tests)
+ * @returns {number} 0 if there is one now, otherwise how many ms
+ *   until the next one is available
+ */
+export function getWaitMs(bucket, now = Date.now()) {
+  refill(bucket, now);
+
+  if (bucket.tokens >= 1) return 0;
+  return Math.ceil(((1 - bucket.tokens) * 60000) / bucket.perMinute);
+}
+
+/**
+ * Takes a token if there is one
+ * @param {object} bucket - Bucket from createTokenBucket
+ * @param {number} now - Current time (for tests)
+ * @returns {number} 0 if a token was taken, otherwise how many ms
+ *   until the next one is available
+ */
+export function takeToken(bucket, now = Date.now()) {
+  const waitMs = getWaitMs(bucket, now);
+  if (waitMs === 0) bucket.tokens -= 1;
+  return waitMs;
+}
+
+// Whether a bucket has refilled completely (and can be forgotten)
+export function isFull(bucket, now = Date.now()) {
+  refill(bucket, now);
+  return bucket.tokens >= bucket.burst;
+}
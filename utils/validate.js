@@ -0,0 +1,218 @@
+// Declarative validation for incoming WebSocket messages.
+// Every message type registers a schema of its fields; anything that
+// doesn't fit is rejected before a handler ever sees it.
+
+// Largest message the server will parse (a NEW_GAME is well below this)
+export const MAX_MESSAGE_BYTES = 4 * 1024;
+
+// Longest string any field may hold, unless its schema says otherwise
+const DEFAULT_MAX_STRING_LENGTH = 256;
+
+// Structured error codes sent back in ERROR messages
+export const VALIDATION_ERRORS = {
+  MESSAGE_TOO_LARGE: "MESSAGE_TOO_LARGE",
+  INVALID_JSON: "INVALID_JSON",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  UNKNOWN_FIELD: "UNKNOWN_FIELD",
+  MISSING_FIELD: "MISSING_FIELD",
+  INVALID_TYPE: "INVALID_TYPE",
+  INVALID_VALUE: "INVALID_VALUE",
+};
+
+// message type -> { fieldName: fieldSchema }
+const schemas = new Map();
+
+/**
+ * Registers the schema for a message type
+ * A field schema is { type, required?, min?, max?, maxLength?, pattern?,
+ * values?, maxItems?, items? } where `type` is "string", "integer",
+ * "boolean", "array" or "object" (or a list of those). `values` limits a field to
+ * a fixed set, `items` is the schema of each array entry. Optional
+ * fields may be left out or sent as null.
+ * @param {string} type - Message type, e.g. "FLIP_CARD"
+ * @param {object|function} fields - Field name -> field schema (without
+ *   `type`), or a function returning them, asked on every message (for
+ *   limits that come from the server config)
+ */
+export function registerMessage(type, fields = {}) {
+  schemas.set(type, fields);
+}
+
+// Whether a handler's message type has a schema
+export function isRegistered(type) {
+  return schemas.has(type);
+}
+
+// The fields registered for a message type (e.g. to reuse them for the REST API)
+export function getSchema(type) {
+  const fields = schemas.get(type) ?? null;
+  return typeof fields === "function" ? fields() : fields;
+}
+
+function fail(code, error, field) {
+  return { valid: false, code, error, field };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      // Real numbers only: "2abc" or "2" are not integers
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks one value against its field schema
+ * @returns {object|null} null when valid, otherwise a failure
+ */
+function checkField(name, value, schema) {
+  if (value === undefined || value === null) {
+    return schema.required
+      ? fail(VALIDATION_ERRORS.MISSING_FIELD, `Missing ${name}`, name)
+      : null;
+  }
+
+  const types = [].concat(schema.type);
+  if (!types.some((type) => matchesType(value, type))) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_TYPE,
+      `${name} must be of type ${types.join(" or ")}`,
+      name,
+    );
+  }
+
+  if (typeof value === "string") {
+    const maxLength = schema.maxLength ?? DEFAULT_MAX_STRING_LENGTH;
+    if (value.length > maxLength) {
+      return fail(
+        VALIDATION_ERRORS.INVALID_VALUE,
+        `${name} can be at most ${maxLength} characters`,
+        name,
+      );
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return fail(VALIDATION_ERRORS.INVALID_VALUE, `${name} is malformed`, name);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (
+      (schema.min !== undefined && value < schema.min) ||
+      (schema.max !== undefined && value > schema.max)
+    ) {
+      return fail(
+        VALIDATION_ERRORS.INVALID_VALUE,
+        `${name} must be between ${schema.min} and ${schema.max}`,
+        name,
+      );
+    }
+  }
+
+  if (schema.values && !schema.values.includes(value)) {
+    return fail(
+      VALIDATION_ERRORS.INVALID_VALUE,
+      `${name} must be one of: ${schema.values.join(", ")}`,
+      name,
+    );
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(
+        VALIDATION_ERRORS.INVALID_VALUE,
+        `${name} can have at most ${schema.maxItems} entries`,
+        name,
+      );
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const failure = checkField(`${name}[${i}]`, value[i], schema.items);
+        if (failure) return failure;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses and validates a raw WebSocket frame
+ * @param {Buffer|string} data - Frame as received
+ * @returns {object} { valid: true, message } or
+ *   { valid: false, code, error, field?, messageType? }, where
+ *   messageType is the `type` of a frame that was a JSON object
+ */
+export function parseMessage(data) {
+  const size = typeof data === "string" ? Buffer.byteLength(data) : data.length;
+  if (size > MAX_MESSAGE_BYTES) {
+    return fail(
+      VALIDATION_ERRORS.MESSAGE_TOO_LARGE,
+      `Messages can be at most ${MAX_MESSAGE_BYTES} bytes`,
+    );
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return fail(VALIDATION_ERRORS.INVALID_JSON, "Invalid message format");
+  }
+
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return fail(VALIDATION_ERRORS.INVALID_JSON, "Message must be an object");
+  }
+
+  // Failures from here on say which type the message claimed to be
+  const messageType = message.type;
+
+  const fields = getSchema(messageType);
+  if (!fields) {
+    return {
+      ...fail(
+        VALIDATION_ERRORS.UNKNOWN_TYPE,
+        `Unknown message type: ${messageType}`,
+        "type",
+      ),
+      messageType,
+    };
+  }
+
+  const { type: _type, ...values } = message;
+  const result = validateFields(fields, values);
+  return result.valid ? { valid: true, message } : { ...result, messageType };
+}
+
+/**
+ * Checks a plain object against a set of field schemas
+ * @param {object} fields - Field name -> field schema
+ * @param {object} values - Object to check (e.g. a REST request body)
+ * @returns {object} { valid: true } or { valid: false, code, error, field }
+ */
+export function validateFields(fields, values) {
+  for (const name of Object.keys(values)) {
+    if (!Object.hasOwn(fields, name)) {
+      return fail(
+        VALIDATION_ERRORS.UNKNOWN_FIELD,
+        `Unknown field: ${name}`,
+        name,
+      );
+    }
+  }
+
+  for (const [name, schema] of Object.entries(fields)) {
+    const failure = checkField(name, values[name], schema);
+    if (failure) return failure;
+  }
+
+  return { valid: true };
+}